@@ -0,0 +1,356 @@
+/**
+ * AMD Analytics
+ * Consent banner plus a small event layer with pluggable sinks.
+ * Nothing is sent, and no third-party script is loaded, until the visitor
+ * accepts analytics in the consent banner.
+ *
+ * Configuration (on this script tag):
+ *   data-sinks="beacon console"          sinks to enable (space-separated)
+ *   data-beacon="{{base}}api/analytics"  endpoint for the beacon sink
+ *   data-ga4-id="G-XXXXXXX"              GA4 measurement id (ga4 sink)
+ *   data-matomo-url="https://…/"         Matomo base URL (matomo sink)
+ *   data-matomo-site="1"                 Matomo site id
+ *
+ * Usage:
+ *   AMD.Analytics.track('cta_click', { cta: 'home.hero.cta_primary' })
+ *   AMD.Analytics.addSink('custom', { send(event) { … } })
+ */
+
+(function () {
+    'use strict';
+
+    const script = document.currentScript;
+    const CONFIG = script ? { ...script.dataset } : {};
+
+    /**
+     * Translate via AMD.I18n when it is loaded
+     */
+    function t(key, fallback) {
+        const I18n = window.AMD && window.AMD.I18n;
+        return I18n ? I18n.t(key, {}, fallback) : fallback;
+    }
+
+    function loadScript(src) {
+        const el = document.createElement('script');
+        el.async = true;
+        el.src = src;
+        document.head.appendChild(el);
+    }
+
+    // ============================================
+    // Sinks
+    // ============================================
+    /**
+     * Each sink has send(event) and optional load() / unload(), called when
+     * consent is granted or withdrawn
+     */
+    const Sinks = {
+        console: {
+            send(event) {
+                console.info('[analytics]', event.name, event.params);
+            }
+        },
+
+        /**
+         * POST the event to our own endpoint; sendBeacon survives page unloads
+         */
+        beacon: {
+            send(event) {
+                const endpoint = CONFIG.beacon;
+                if (!endpoint) return;
+
+                const body = JSON.stringify(event);
+                const blob = new Blob([body], { type: 'application/json' });
+
+                if (navigator.sendBeacon && navigator.sendBeacon(endpoint, blob)) return;
+
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {});
+            }
+        },
+
+        ga4: {
+            load() {
+                const id = CONFIG.ga4Id;
+                if (!id) return;
+
+                window[`ga-disable-${id}`] = false;
+                if (this.loaded) return;
+                this.loaded = true;
+
+                window.dataLayer = window.dataLayer || [];
+                window.gtag = window.gtag || function () { window.dataLayer.push(arguments); };
+                window.gtag('js', new Date());
+                // Page views are sent as events like everything else
+                window.gtag('config', id, { send_page_view: false });
+                loadScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(id)}`);
+            },
+
+            unload() {
+                if (CONFIG.ga4Id) window[`ga-disable-${CONFIG.ga4Id}`] = true;
+            },
+
+            send(event) {
+                if (!window.gtag || !CONFIG.ga4Id) return;
+                window.gtag('event', event.name, { ...event.params, language: event.lang });
+            }
+        },
+
+        matomo: {
+            load() {
+                const url = CONFIG.matomoUrl;
+                if (!url || !CONFIG.matomoSite) return;
+
+                window._paq = window._paq || [];
+
+                if (!this.loaded) {
+                    this.loaded = true;
+                    const base = url.endsWith('/') ? url : `${url}/`;
+                    window._paq.push(['requireConsent']);
+                    window._paq.push(['setTrackerUrl', `${base}matomo.php`]);
+                    window._paq.push(['setSiteId', CONFIG.matomoSite]);
+                    loadScript(`${base}matomo.js`);
+                }
+
+                window._paq.push(['setConsentGiven']);
+            },
+
+            unload() {
+                if (window._paq) window._paq.push(['forgetConsentGiven']);
+            },
+
+            send(event) {
+                if (!window._paq) return;
+
+                if (event.name === 'page_view') {
+                    window._paq.push(['trackPageView']);
+                    return;
+                }
+
+                const label = Object.keys(event.params)
+                    .map(key => `${key}=${event.params[key]}`)
+                    .join('; ');
+                window._paq.push(['trackEvent', 'site', event.name, label]);
+            }
+        }
+    };
+
+    // ============================================
+    // Consent
+    // ============================================
+    const Consent = {
+        STORAGE_KEY: 'amd-consent',
+        // Cookies set by the third-party sinks, removed when consent is withdrawn
+        COOKIE_PATTERN: /^(_ga|_gid|_gat|_pk_|mtm_)/,
+
+        // Choice made on this page; the only record when localStorage is blocked
+        data: null,
+
+        /**
+         * 'granted', 'denied' or null when the visitor has not chosen yet
+         */
+        get() {
+            const stored = this.load();
+            return stored && (stored.analytics === 'granted' || stored.analytics === 'denied')
+                ? stored.analytics
+                : null;
+        },
+
+        load() {
+            if (this.data) return this.data;
+
+            try {
+                return JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        isGranted() {
+            return this.get() === 'granted';
+        },
+
+        set(status) {
+            const previous = this.get();
+
+            this.data = { analytics: status, date: new Date().toISOString() };
+
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.data));
+            } catch (error) {
+                // Storage blocked: the choice only lasts for this page
+            }
+
+            if (status !== 'granted') this.clearCookies();
+
+            this.render();
+
+            if (status !== previous) {
+                document.dispatchEvent(new CustomEvent('amd:consent-change', { detail: { analytics: status } }));
+            }
+        },
+
+        clearCookies() {
+            const host = window.location.hostname;
+            const domains = ['', host, `.${host}`, `.${host.split('.').slice(-2).join('.')}`];
+
+            document.cookie.split(';').forEach(cookie => {
+                const name = cookie.split('=')[0].trim();
+                if (!this.COOKIE_PATTERN.test(name)) return;
+
+                domains.forEach(domain => {
+                    document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain ? `; domain=${domain}` : ''}`;
+                });
+            });
+        },
+
+        init() {
+            this.banner = document.querySelector('[data-consent-banner]');
+
+            document.addEventListener('click', (e) => {
+                if (e.target.closest('[data-consent-grant]')) {
+                    this.set('granted');
+                } else if (e.target.closest('[data-consent-deny], [data-consent-revoke]')) {
+                    this.set('denied');
+                }
+            });
+
+            this.render();
+
+            // Status text is translated once content has loaded
+            document.addEventListener('amd:content-ready', () => this.render());
+        },
+
+        /**
+         * Banner until a choice is made; privacy page controls for the current state
+         */
+        render() {
+            const status = this.get();
+
+            if (this.banner) this.banner.hidden = status !== null;
+
+            document.querySelectorAll('[data-consent-status]').forEach(el => {
+                const key = status || 'unset';
+                el.textContent = t(`consent.status.${key}`, key);
+            });
+            document.querySelectorAll('.consent-settings [data-consent-grant]').forEach(btn => {
+                btn.hidden = status === 'granted';
+            });
+            document.querySelectorAll('[data-consent-revoke]').forEach(btn => {
+                btn.hidden = status !== 'granted';
+            });
+        }
+    };
+
+    // ============================================
+    // Analytics
+    // ============================================
+    const Analytics = {
+        sinks: Sinks,
+        consent: Consent,
+        // Names of the enabled sinks
+        active: [],
+
+        init() {
+            this.active = (CONFIG.sinks || '').split(/[\s,]+/).filter(name => name && this.sinks[name]);
+
+            Consent.init();
+
+            if (Consent.isGranted()) this.start();
+
+            document.addEventListener('amd:consent-change', (e) => {
+                if (e.detail.analytics === 'granted') {
+                    this.start();
+                } else {
+                    this.stop();
+                }
+            });
+
+            this.bindEvents();
+        },
+
+        /**
+         * Register a sink; it receives events once listed in data-sinks or enabled here
+         */
+        addSink(name, sink, enable = true) {
+            this.sinks[name] = sink;
+            if (enable && !this.active.includes(name)) {
+                this.active.push(name);
+                if (Consent.isGranted() && sink.load) sink.load();
+            }
+        },
+
+        start() {
+            this.each(sink => sink.load && sink.load());
+            this.track('page_view', { title: document.title });
+        },
+
+        stop() {
+            this.each(sink => sink.unload && sink.unload());
+        },
+
+        each(callback) {
+            this.active.forEach(name => {
+                try {
+                    callback(this.sinks[name]);
+                } catch (error) {
+                    console.error(`[analytics] Sink "${name}" failed:`, error);
+                }
+            });
+        },
+
+        /**
+         * Send a structured event to every active sink (dropped without consent)
+         */
+        track(name, params = {}) {
+            if (!Consent.isGranted()) return;
+
+            const event = {
+                name,
+                params,
+                page: window.location.pathname,
+                lang: document.documentElement.lang || '',
+                timestamp: new Date().toISOString()
+            };
+
+            this.each(sink => sink.send(event));
+        },
+
+        /**
+         * CTA buttons (named by data-track or their content key) and contact links
+         */
+        bindEvents() {
+            document.addEventListener('click', (e) => {
+                const link = e.target.closest('a[href^="tel:"], a[href^="mailto:"]');
+                if (link) {
+                    this.track('contact_click', { method: link.protocol === 'tel:' ? 'phone' : 'email' });
+                    return;
+                }
+
+                const cta = e.target.closest('[data-track], a.btn');
+                if (!cta) return;
+
+                this.track('cta_click', {
+                    cta: cta.dataset.track || cta.dataset.i18n || cta.dataset.i18nItem || cta.textContent.trim(),
+                    href: cta.getAttribute('href') || ''
+                });
+            }, true);
+        }
+    };
+
+    // Initialize on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => Analytics.init());
+    } else {
+        Analytics.init();
+    }
+
+    // Expose globally
+    window.AMD = window.AMD || {};
+    window.AMD.Analytics = Analytics;
+
+})();
@@ -0,0 +1,150 @@
+/**
+ * AMD Attribution
+ * Remembers where a visitor came from (utm_* parameters, Google/Facebook
+ * click ids, external referrer and landing page) for the browser session and
+ * adds it to lead forms as hidden fields.
+ *
+ * The first touch is the first page of the session; the last touch is
+ * replaced whenever the visitor arrives again from a campaign link or another
+ * site. Loaded before i18n.js so the landing page is recorded before any
+ * language redirect, and language switches (same query string, internal
+ * referrer) don't count as a new touch.
+ *
+ * Fields added by attach(form):
+ *   first_utm_source … first_landing_page   first touch
+ *   last_utm_source … last_landing_page     last touch
+ *   lang                                    language of the submitting page
+ */
+
+(function () {
+    'use strict';
+
+    const Attribution = {
+        STORAGE_KEY: 'amd-attribution',
+        PARAMS: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'],
+
+        // Used when sessionStorage is unavailable
+        data: null,
+
+        init() {
+            const stored = this.load();
+            const touch = this.getTouch();
+
+            if (!stored || !stored.first) {
+                this.save({ first: touch, last: touch });
+            } else if (this.isNewTouch(touch, stored.last)) {
+                this.save({ first: stored.first, last: touch });
+            } else {
+                this.data = stored;
+            }
+        },
+
+        /**
+         * Campaign parameters, external referrer and path of the current page
+         */
+        getTouch(location = window.location, referrer = document.referrer) {
+            const params = new URLSearchParams(location.search);
+            const touch = {};
+
+            this.PARAMS.forEach(name => {
+                const value = (params.get(name) || '').trim();
+                if (value) touch[name] = value.slice(0, 200);
+            });
+
+            if (this.isExternal(referrer, location)) touch.referrer = referrer;
+            touch.landing_page = location.pathname;
+
+            return touch;
+        },
+
+        isExternal(referrer, location = window.location) {
+            if (!referrer) return false;
+
+            try {
+                return new URL(referrer).host !== location.host;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * Arriving from another site, or with campaign parameters that differ
+         * from the last touch
+         */
+        isNewTouch(touch, last = {}) {
+            if (touch.referrer) return true;
+
+            const hasParams = this.PARAMS.some(name => touch[name]);
+            return hasParams && this.PARAMS.some(name => touch[name] !== last[name]);
+        },
+
+        get() {
+            return this.load() || this.data || {};
+        },
+
+        load() {
+            try {
+                return JSON.parse(sessionStorage.getItem(this.STORAGE_KEY));
+            } catch (error) {
+                return null;
+            }
+        },
+
+        save(data) {
+            this.data = data;
+
+            try {
+                sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify(data));
+            } catch (error) {
+                // Storage disabled: attribution only lasts for this page
+            }
+        },
+
+        /**
+         * Flat { name: value } map of the fields sent with a form
+         */
+        fields() {
+            const { first = {}, last = {} } = this.get();
+            const fields = {};
+
+            [['first', first], ['last', last]].forEach(([prefix, touch]) => {
+                Object.keys(touch).forEach(key => {
+                    if (touch[key]) fields[`${prefix}_${key}`] = touch[key];
+                });
+            });
+
+            fields.lang = document.documentElement.lang || '';
+
+            return fields;
+        },
+
+        /**
+         * Write the fields into hidden inputs, skipping names the form
+         * already uses for its own fields
+         */
+        attach(form) {
+            form.querySelectorAll('input[data-attribution]').forEach(input => input.remove());
+
+            const fields = this.fields();
+
+            Object.keys(fields).forEach(name => {
+                if (form.elements[name]) return;
+
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = fields[name];
+                input.dataset.attribution = '';
+                form.appendChild(input);
+            });
+        }
+    };
+
+    // Runs immediately: no DOM needed, and it has to beat any redirect
+    Attribution.init();
+
+    // Expose globally
+    window.AMD = window.AMD || {};
+    window.AMD.Attribution = Attribution;
+
+})();
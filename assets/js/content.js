@@ -0,0 +1,267 @@
+/**
+ * AMD Content Binding
+ * Hydrates data-i18n elements from content/<lang>.json
+ *
+ * Markup:
+ *   <h1 data-i18n="home.hero.title">…</h1>
+ *   <input data-i18n-attr="placeholder:contact.form.email; aria-label:contact.form.email">
+ *   <template data-i18n-list="projects" data-i18n-limit="3">
+ *     <article>
+ *       <img src="{image}" data-i18n-item-attr="alt:name">
+ *       <h3 data-i18n-item="name"></h3>
+ *     </article>
+ *   </template>
+ *   <template data-i18n-list="projects.0.amenities">
+ *     <li data-i18n-item="value"></li>       (lists of strings)
+ *   </template>
+ *   <a data-i18n-if="projects.0.brochure">…</a>   (removed when the value is empty)
+ *   <time data-i18n-item="posted" data-i18n-format="date"></time>
+ *   <article data-tags="{tags.value}">      (field of every list entry, comma-joined)
+ */
+
+(function () {
+    'use strict';
+
+    // Resolve the site root from this script's location (…/assets/js/content.js)
+    const script = document.currentScript;
+    const BASE_URL = script ? new URL('../../', script.src).href : './';
+
+    const Content = {
+        BASE_URL,
+        cache: {},
+        dictionaries: {},
+
+        /**
+         * Initialize content binding
+         */
+        init() {
+            this.hydrate(document);
+        },
+
+        /**
+         * Active language, falling back to the default for root pages
+         */
+        getLang() {
+            const I18n = window.AMD.I18n;
+            return I18n.getCurrentLang() || I18n.DEFAULT_LANG;
+        },
+
+        /**
+         * Fetch the language's content file (cached per language)
+         */
+        load(lang) {
+            if (!this.cache[lang]) {
+                const file = window.AMD.I18n.getLanguage(lang).content || `content/${lang}.json`;
+                this.cache[lang] = fetch(this.BASE_URL + file)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.json();
+                    })
+                    .then(dict => {
+                        this.dictionaries[lang] = dict;
+                        return dict;
+                    });
+            }
+            return this.cache[lang];
+        },
+
+        /**
+         * Resolve a dotted key ("home.hero.title", "contact.form.subjects.0");
+         * a non-numeric part applied to a list plucks it from every entry ("tags.value")
+         */
+        resolve(obj, key) {
+            return key.split('.').reduce((value, part) => {
+                if (value === undefined || value === null) return undefined;
+                if (Array.isArray(value) && !/^\d+$/.test(part)) {
+                    return value.map(entry => (entry !== null && typeof entry === 'object' ? entry[part] : undefined));
+                }
+                return value[part];
+            }, obj);
+        },
+
+        /**
+         * Look up a key in the current language, falling back to DEFAULT_LANG
+         */
+        get(key, lang = this.getLang()) {
+            const defaultLang = window.AMD.I18n.DEFAULT_LANG;
+            const value = this.resolve(this.dictionaries[lang], key);
+            if (value !== undefined) return value;
+
+            const fallback = this.resolve(this.dictionaries[defaultLang], key);
+            if (lang !== defaultLang) {
+                console.warn(`[content] Missing "${key}" for "${lang}"${fallback !== undefined ? `, using "${defaultLang}"` : ''}`);
+            } else {
+                console.warn(`[content] Missing "${key}"`);
+            }
+            return fallback;
+        },
+
+        /**
+         * Load the current (and default) language and bind everything under root
+         */
+        async hydrate(root = document) {
+            const lang = this.getLang();
+            const defaultLang = window.AMD.I18n.DEFAULT_LANG;
+
+            try {
+                await Promise.all([this.load(lang), this.load(defaultLang)]);
+            } catch (error) {
+                // Keep the static markup (e.g. file:// where fetch is blocked)
+                console.warn('[content] Could not load content:', error.message);
+                return;
+            }
+
+            this.bindConditions(root, lang);
+            this.bindLists(root, lang);
+            this.bindText(root, lang);
+            this.bindAttributes(root, lang);
+
+            document.dispatchEvent(new CustomEvent('amd:content-ready', { detail: { lang } }));
+        },
+
+        /**
+         * Remove data-i18n-if elements whose value is missing or empty
+         */
+        bindConditions(root, lang) {
+            root.querySelectorAll('[data-i18n-if]').forEach(el => {
+                const value = this.get(el.dataset.i18nIf, lang);
+                if (value === undefined || value === null || value === '' ||
+                    (Array.isArray(value) && !value.length)) {
+                    el.remove();
+                }
+            });
+        },
+
+        bindText(root, lang) {
+            root.querySelectorAll('[data-i18n]').forEach(el => {
+                const value = this.get(el.dataset.i18n, lang);
+                if (value === undefined || typeof value === 'object') return;
+
+                if (el.hasAttribute('data-i18n-html')) {
+                    el.innerHTML = value;
+                } else {
+                    el.textContent = this.format(el, value);
+                }
+            });
+        },
+
+        /**
+         * data-i18n-attr="attr:key; attr:key"
+         */
+        bindAttributes(root, lang) {
+            root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+                this.parsePairs(el.dataset.i18nAttr).forEach(([attr, key]) => {
+                    const value = this.get(key, lang);
+                    if (value !== undefined) el.setAttribute(attr, this.resolveUrl(attr, value));
+                });
+            });
+        },
+
+        /**
+         * Render <template data-i18n-list="key"> once per array item, replacing
+         * earlier renders (marked data-i18n-rendered="key") in the same parent
+         */
+        bindLists(root, lang) {
+            root.querySelectorAll('template[data-i18n-list]').forEach(template => {
+                const key = template.dataset.i18nList;
+                const items = this.get(key, lang);
+                const parent = template.parentNode;
+
+                if (!Array.isArray(items)) return;
+
+                const limit = parseInt(template.dataset.i18nLimit, 10);
+                const list = isNaN(limit) ? items : items.slice(0, limit);
+
+                parent.querySelectorAll(':scope > [data-i18n-rendered]').forEach(el => {
+                    if (el.dataset.i18nRendered === key) el.remove();
+                });
+
+                const fragment = document.createDocumentFragment();
+                list.forEach((item, index) => {
+                    fragment.appendChild(this.renderItem(template, key, item, index));
+                });
+                parent.insertBefore(fragment, template);
+            });
+        },
+
+        renderItem(template, key, item, index) {
+            const clone = template.content.firstElementChild.cloneNode(true);
+            // Lists of strings expose the string as {value}
+            const data = item !== null && typeof item === 'object' ? { ...item, index } : { value: item, index };
+
+            clone.setAttribute('data-i18n-rendered', key);
+
+            [clone, ...clone.querySelectorAll('*')].forEach(el => {
+                // {field} placeholders in attribute values
+                Array.from(el.attributes).forEach(attr => {
+                    if (attr.value.includes('{')) {
+                        attr.value = this.resolveUrl(attr.name, this.interpolate(attr.value, data));
+                    }
+                });
+
+                if (el.hasAttribute('data-i18n-item')) {
+                    const value = this.resolve(data, el.getAttribute('data-i18n-item'));
+                    el.textContent = value !== undefined ? this.format(el, value) : '';
+                }
+
+                if (el.hasAttribute('data-i18n-item-attr')) {
+                    this.parsePairs(el.getAttribute('data-i18n-item-attr')).forEach(([attr, field]) => {
+                        const value = this.resolve(data, field);
+                        if (value !== undefined) el.setAttribute(attr, this.resolveUrl(attr, value));
+                    });
+                }
+            });
+
+            return clone;
+        },
+
+        /**
+         * data-i18n-format="date": ISO dates in the active locale (same output as the build)
+         */
+        format(el, value) {
+            if (el.getAttribute('data-i18n-format') === 'date' && window.AMD.Formatter) {
+                return window.AMD.Formatter.date(value, { timeZone: 'UTC' });
+            }
+            return value;
+        },
+
+        /**
+         * Replace {field} (or {nested.field}) with values from data
+         */
+        interpolate(str, data) {
+            return str.replace(/\{([\w.]+)\}/g, (match, field) => {
+                const value = this.resolve(data, field);
+                if (value === null) return '';
+                return value !== undefined ? value : match;
+            });
+        },
+
+        /**
+         * Content paths are relative to the site root, not the current page
+         */
+        resolveUrl(attr, value) {
+            if ((attr === 'src' || attr === 'href') && !/^([a-z]+:|\/|#|\.)/i.test(value)) {
+                return this.BASE_URL + value;
+            }
+            return value;
+        },
+
+        parsePairs(str) {
+            return str.split(';')
+                .map(pair => pair.split(':').map(part => part.trim()))
+                .filter(pair => pair.length === 2 && pair[0] && pair[1]);
+        }
+    };
+
+    // Initialize on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => Content.init());
+    } else {
+        Content.init();
+    }
+
+    // Expose globally
+    window.AMD = window.AMD || {};
+    window.AMD.Content = Content;
+
+})();
@@ -0,0 +1,417 @@
+/**
+ * AMD Form Submission
+ * Transports, retries with backoff and an offline outbox for form submissions.
+ * Where Background Sync is available the service worker (sw.js) replays the
+ * outbox, even after the page has been closed.
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Error thrown for responses that should not be retried (4xx)
+     */
+    class SubmitError extends Error {
+        constructor(message, status, fieldErrors = null) {
+            super(message);
+            this.name = 'SubmitError';
+            this.status = status;
+            this.fieldErrors = fieldErrors;
+        }
+    }
+
+    /**
+     * True when any value (or repeated value) is a File/Blob
+     */
+    function hasFiles(data) {
+        return Object.keys(data).some(key => [].concat(data[key]).some(value => value instanceof Blob));
+    }
+
+    // ============================================
+    // Transports
+    // ============================================
+    const Transports = {
+        /**
+         * Send the payload as a JSON body. Files cannot be JSON-encoded, so
+         * payloads with files go out as multipart instead.
+         */
+        json(endpoint, data) {
+            if (hasFiles(data)) return Transports.multipart(endpoint, data);
+
+            return fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(data)
+            });
+        },
+
+        /**
+         * Send the payload as multipart/form-data (needed for file uploads)
+         */
+        multipart(endpoint, data) {
+            const body = new FormData();
+            Object.keys(data).forEach(key => {
+                const value = data[key];
+                if (Array.isArray(value)) {
+                    value.forEach(item => body.append(key, item));
+                } else {
+                    body.append(key, value);
+                }
+            });
+
+            return fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body
+            });
+        }
+    };
+
+    // ============================================
+    // Outbox (IndexedDB with localStorage fallback)
+    // ============================================
+    const Outbox = {
+        DB_NAME: 'amd-outbox',
+        STORE_NAME: 'submissions',
+        STORAGE_KEY: 'amd-outbox',
+
+        /**
+         * Open the IndexedDB store, resolving to null when unavailable
+         */
+        openDb() {
+            if (this.dbPromise) return this.dbPromise;
+
+            this.dbPromise = new Promise(resolve => {
+                if (!('indexedDB' in window)) {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(this.DB_NAME, 1);
+                    request.onupgradeneeded = () => {
+                        request.result.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+
+            return this.dbPromise;
+        },
+
+        /**
+         * Run a single request against the object store
+         */
+        async withStore(mode, callback) {
+            const db = await this.openDb();
+            if (!db) return undefined;
+
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(this.STORE_NAME, mode);
+                const request = callback(tx.objectStore(this.STORE_NAME));
+                tx.oncomplete = () => resolve(request && request.result);
+                tx.onerror = () => reject(tx.error);
+            });
+        },
+
+        readFallback() {
+            try {
+                return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+            } catch (error) {
+                return [];
+            }
+        },
+
+        writeFallback(entries) {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+        },
+
+        async add(entry) {
+            const db = await this.openDb();
+            if (db) {
+                await this.withStore('readwrite', store => store.put(entry));
+                return;
+            }
+
+            // localStorage cannot hold files; replaying without them would
+            // report e.g. an application as sent without its CV
+            if (hasFiles(entry.data)) {
+                throw new SubmitError('Submissions with files cannot be queued without IndexedDB', 0);
+            }
+
+            this.writeFallback(this.readFallback().concat(entry));
+        },
+
+        async all() {
+            const db = await this.openDb();
+            if (db) {
+                return (await this.withStore('readonly', store => store.getAll())) || [];
+            }
+            return this.readFallback();
+        },
+
+        async remove(id) {
+            const db = await this.openDb();
+            if (db) {
+                await this.withStore('readwrite', store => store.delete(id));
+                return;
+            }
+            this.writeFallback(this.readFallback().filter(entry => entry.id !== id));
+        }
+    };
+
+    // ============================================
+    // Form Submitter
+    // ============================================
+    const FormSubmitter = {
+        DEFAULT_RETRIES: 3,
+        BACKOFF_BASE: 500,
+        BACKOFF_MAX: 8000,
+        SYNC_TAG: 'amd-outbox',
+        // Transports the service worker can replay on its own
+        SYNC_TRANSPORTS: ['json', 'multipart'],
+
+        transports: Transports,
+        outbox: Outbox,
+        SubmitError,
+
+        /**
+         * Initialize outbox replay
+         */
+        init() {
+            window.addEventListener('online', () => this.flush());
+
+            // Submissions replayed by the service worker
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', (e) => {
+                    if (e.data && e.data.type === 'amd:outbox-sent') {
+                        document.dispatchEvent(new CustomEvent('amd:outbox-sent', { detail: e.data.entry }));
+                    }
+                });
+            }
+
+            if (navigator.onLine) {
+                this.flush();
+            }
+        },
+
+        /**
+         * Register a custom transport, e.g. for a third-party form service
+         */
+        addTransport(name, fn) {
+            this.transports[name] = fn;
+        },
+
+        /**
+         * Resolve the endpoint from data-endpoint or the action attribute.
+         * Templates write it relative to the page ({{base}}api/…), so it is made
+         * absolute for replays from other pages and the service worker.
+         */
+        getEndpoint(form) {
+            const endpoint = form.dataset.endpoint || form.getAttribute('action') || '';
+            return endpoint ? new URL(endpoint, document.baseURI).href : '';
+        },
+
+        /**
+         * Choose the transport: data-transport wins, file inputs force multipart
+         */
+        getTransport(form) {
+            if (form.dataset.transport) return form.dataset.transport;
+            if (form.enctype === 'multipart/form-data' || form.querySelector('input[type="file"]')) {
+                return 'multipart';
+            }
+            return 'json';
+        },
+
+        /**
+         * Collect form values, keeping repeated keys as arrays
+         */
+        collect(form) {
+            const data = {};
+
+            new FormData(form).forEach((value, key) => {
+                if (value instanceof File && !value.name) return;
+
+                if (key in data) {
+                    data[key] = [].concat(data[key], value);
+                } else {
+                    data[key] = value;
+                }
+            });
+
+            return data;
+        },
+
+        /**
+         * Submit a form. Resolves to { status: 'sent' | 'queued' } and rejects
+         * with a SubmitError when the server refuses the submission.
+         */
+        async submit(form, data) {
+            const endpoint = this.getEndpoint(form);
+            const transport = this.getTransport(form);
+            const retries = parseInt(form.dataset.retries, 10);
+
+            if (!endpoint) {
+                throw new SubmitError('Form has no action or data-endpoint', 0);
+            }
+
+            const entry = {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                endpoint,
+                transport,
+                data,
+                createdAt: new Date().toISOString()
+            };
+
+            if (!navigator.onLine) {
+                return this.queue(entry);
+            }
+
+            try {
+                const result = await this.send(entry, isNaN(retries) ? this.DEFAULT_RETRIES : retries);
+                return { status: 'sent', result };
+            } catch (error) {
+                if (error instanceof SubmitError) throw error;
+
+                return this.queue(entry);
+            }
+        },
+
+        async queue(entry) {
+            await this.outbox.add(entry);
+            this.requestSync();
+            return { status: 'queued' };
+        },
+
+        /**
+         * Ask the service worker to replay the outbox once the connection is
+         * back. Resolves to false without Background Sync (or an IndexedDB
+         * outbox the worker can read).
+         */
+        async requestSync() {
+            if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return false;
+
+            try {
+                const registration = await navigator.serviceWorker.ready;
+                if (!registration.sync || !(await this.outbox.openDb())) return false;
+
+                await registration.sync.register(this.SYNC_TAG);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * Send an entry, retrying network failures and 5xx/429 responses
+         */
+        async send(entry, retries = this.DEFAULT_RETRIES) {
+            const transport = this.transports[entry.transport];
+            if (!transport) {
+                throw new SubmitError(`Unknown transport: ${entry.transport}`, 0);
+            }
+
+            let attempt = 0;
+
+            while (true) {
+                try {
+                    const response = await transport(entry.endpoint, entry.data);
+                    const body = await this.parseBody(response);
+
+                    if (response.ok) return body;
+
+                    if (response.status < 500 && response.status !== 429) {
+                        throw new SubmitError(
+                            (body && body.message) || `Request failed with status ${response.status}`,
+                            response.status,
+                            (body && body.errors) || null
+                        );
+                    }
+
+                    throw new Error(`Server error ${response.status}`);
+                } catch (error) {
+                    if (error instanceof SubmitError || attempt >= retries) throw error;
+
+                    await this.wait(this.backoff(attempt));
+                    attempt++;
+                }
+            }
+        },
+
+        async parseBody(response) {
+            const type = response.headers.get('Content-Type') || '';
+            if (!type.includes('application/json')) return null;
+
+            try {
+                return await response.json();
+            } catch (error) {
+                return null;
+            }
+        },
+
+        /**
+         * Exponential backoff with jitter
+         */
+        backoff(attempt) {
+            const delay = Math.min(this.BACKOFF_BASE * Math.pow(2, attempt), this.BACKOFF_MAX);
+            return delay / 2 + Math.random() * (delay / 2);
+        },
+
+        wait(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        },
+
+        /**
+         * Replay queued submissions, leaving those the service worker can
+         * send to Background Sync
+         */
+        async flush() {
+            if (this.flushing) return;
+            this.flushing = true;
+
+            try {
+                const synced = await this.requestSync();
+                const entries = (await this.outbox.all())
+                    .filter(entry => !synced || !this.SYNC_TRANSPORTS.includes(entry.transport));
+
+                for (const entry of entries) {
+                    try {
+                        await this.send(entry);
+                        await this.outbox.remove(entry.id);
+                        document.dispatchEvent(new CustomEvent('amd:outbox-sent', { detail: entry }));
+                    } catch (error) {
+                        // Server rejected it: retrying will never succeed
+                        if (error instanceof SubmitError) {
+                            await this.outbox.remove(entry.id);
+                            console.warn('Dropped queued submission:', error.message);
+                        } else {
+                            break;
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('Outbox replay error:', error);
+            } finally {
+                this.flushing = false;
+            }
+        }
+    };
+
+    // Initialize on DOM ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => FormSubmitter.init());
+    } else {
+        FormSubmitter.init();
+    }
+
+    // Expose globally
+    window.AMD = window.AMD || {};
+    window.AMD.FormSubmitter = FormSubmitter;
+
+})();
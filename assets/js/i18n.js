@@ -6,10 +6,119 @@
 (function () {
     'use strict';
 
+    // Resolve the site root from this script's location (…/assets/js/i18n.js)
+    const script = document.currentScript;
+    const SCRIPT_BASE = script ? new URL('../../', script.src).pathname : '/';
+
+    // ============================================
+    // URL Resolution
+    // ============================================
+    /**
+     * Maps between URLs and { lang, page } for every supported language.
+     * Built pages define window.AMD_I18N_CONFIG from content/languages.json
+     * before this script loads; it can also set e.g. { basePath: '/amd-website/' }.
+     */
+    const LangUrl = {
+        config: {
+            // Language registry: { code, locale, dir, name, label, content }
+            languages: [
+                { code: 'en', locale: 'en-US', dir: 'ltr', name: 'English', label: 'EN', content: 'content/en.json' },
+                { code: 'ar', locale: 'ar-EG', dir: 'rtl', name: 'العربية', label: 'ع', content: 'content/ar.json' }
+            ],
+            rootLang: 'en',             // language served from the site root (others live in /<lang>/)
+            basePath: SCRIPT_BASE,      // deployment path of the site root, e.g. '/amd-website/'
+            indexFile: 'index.html',    // appended to directory URLs under file://
+            ...window.AMD_I18N_CONFIG
+        },
+
+        /**
+         * Merge config options, normalising basePath to '/…/'
+         */
+        configure(options = {}) {
+            Object.assign(this.config, options);
+
+            let base = this.config.basePath || '/';
+            if (!base.startsWith('/')) base = '/' + base;
+            if (!base.endsWith('/')) base += '/';
+            this.config.basePath = base;
+
+            return this.config;
+        },
+
+        /**
+         * Split a location into the language and the page path inside that
+         * language's folder ('' for the index):
+         *
+         *   /ar/about.html       -> { lang: 'ar', page: 'about.html' }
+         *   /careers/            -> { lang: 'en', page: 'careers/' }
+         *   /amd-website/ar      -> { lang: 'ar', page: '' }   (basePath '/amd-website/')
+         */
+        parse(location = window.location) {
+            const { rootLang, basePath } = this.config;
+            const pathname = location.pathname;
+
+            let rest = pathname.startsWith(basePath)
+                ? pathname.slice(basePath.length)
+                : pathname.replace(/^\//, '');
+
+            // '/amd-website' without the trailing slash is still the root
+            if (pathname + '/' === basePath) rest = '';
+
+            const [segment, ...remainder] = rest.split('/');
+
+            // A language folder only counts as a whole first segment ('/solar/' is not Arabic)
+            if (this.codes().includes(segment) && (remainder.length || rest === segment)) {
+                return { lang: segment, page: remainder.join('/') };
+            }
+
+            return { lang: rootLang, page: rest };
+        },
+
+        /**
+         * Path of a page in a language (protocol decides index handling)
+         */
+        build(lang, page = '', protocol = window.location.protocol) {
+            const { rootLang, basePath, indexFile } = this.config;
+            const dir = lang === rootLang ? '' : `${lang}/`;
+
+            // file:// cannot resolve directory URLs to their index page
+            if (protocol === 'file:' && (page === '' || page.endsWith('/'))) {
+                page += indexFile;
+            }
+
+            return basePath + dir + page;
+        },
+
+        /**
+         * Same page in another language, keeping query string and hash
+         */
+        alternate(lang, location = window.location) {
+            const { page } = this.parse(location);
+            return this.build(lang, page, location.protocol) + location.search + location.hash;
+        },
+
+        codes() {
+            return this.config.languages.map(lang => lang.code);
+        },
+
+        /**
+         * True for the language root ('' or 'index.html')
+         */
+        isIndex(page) {
+            return page === '' || page === this.config.indexFile;
+        }
+    };
+
+    LangUrl.configure();
+
     const I18n = {
         STORAGE_KEY: 'amd-lang',
-        SUPPORTED_LANGS: ['en', 'ar'],
-        DEFAULT_LANG: 'en',
+        LANGUAGES: LangUrl.config.languages,
+        SUPPORTED_LANGS: LangUrl.codes(),
+        DEFAULT_LANG: LangUrl.config.rootLang,
+
+        // Used when localStorage is unavailable
+        preference: null,
 
         /**
          * Initialize language handling
@@ -20,20 +129,11 @@
         },
 
         /**
-         * Get the current language from URL path
+         * Get the current language from the URL (the root language outside
+         * any language folder)
          */
         getCurrentLang() {
-            const path = window.location.pathname;
-
-            // Handle both server paths and file:// protocol paths
-            if (path.includes('ar/') || path.endsWith('ar') || path.includes('\\ar\\') || path.includes('ar/index.html')) {
-                return 'ar';
-            }
-            if (path.includes('en/') || path.endsWith('en') || path.includes('\\en\\') || path.includes('en/index.html')) {
-                return 'en';
-            }
-
-            return null;
+            return LangUrl.parse().lang;
         },
 
         /**
@@ -41,7 +141,7 @@
          */
         getPreferredLang() {
             // Check localStorage first
-            const stored = localStorage.getItem(this.STORAGE_KEY);
+            const stored = this.loadPreference();
             if (stored && this.SUPPORTED_LANGS.includes(stored)) {
                 return stored;
             }
@@ -59,29 +159,50 @@
          * Save language preference
          */
         savePreference(lang) {
-            localStorage.setItem(this.STORAGE_KEY, lang);
+            this.preference = lang;
+
+            try {
+                localStorage.setItem(this.STORAGE_KEY, lang);
+            } catch (error) {
+                // Storage blocked: the preference only lasts for this page
+            }
+        },
+
+        loadPreference() {
+            if (this.preference) return this.preference;
+
+            try {
+                return localStorage.getItem(this.STORAGE_KEY);
+            } catch (error) {
+                return null;
+            }
         },
 
         /**
          * Detect language and redirect if needed
          */
         detectAndRedirect() {
-            const currentLang = this.getCurrentLang();
+            const { lang, page } = LangUrl.parse();
 
-            // If we're on a language-specific page, save the preference
-            if (currentLang) {
-                this.savePreference(currentLang);
-                this.updateHtmlAttributes(currentLang);
-                this.updateLanguageSwitcher(currentLang);
-                return;
+            // The site root serves the root language; send visitors who prefer
+            // another language to its home page instead
+            if (lang === this.DEFAULT_LANG && LangUrl.isIndex(page)) {
+                const preferredLang = this.getPreferredLang();
+                if (preferredLang !== lang) {
+                    window.location.replace(this.getAlternateUrl(preferredLang));
+                    return;
+                }
             }
 
-            // If we're on the root page, redirect to preferred language
-            const path = window.location.pathname;
-            if (path === '/' || path === '') {
-                const preferredLang = this.getPreferredLang();
-                window.location.href = `./${preferredLang}/`;
+            // Staying on a language's pages counts as choosing it, the root
+            // language included, so its home page no longer redirects. Error
+            // and offline pages (noindex) are not a choice.
+            if (!document.querySelector('meta[name="robots"][content*="noindex"]')) {
+                this.savePreference(lang);
             }
+
+            this.updateHtmlAttributes(lang);
+            this.updateLanguageSwitcher(lang);
         },
 
         /**
@@ -89,7 +210,7 @@
          */
         updateHtmlAttributes(lang) {
             document.documentElement.setAttribute('lang', lang);
-            document.documentElement.setAttribute('dir', lang === 'ar' ? 'rtl' : 'ltr');
+            document.documentElement.setAttribute('dir', this.getLanguage(lang).dir || 'ltr');
         },
 
         /**
@@ -117,80 +238,22 @@
                 return;
             }
 
-            const currentLang = this.getCurrentLang();
-            if (currentLang === newLang) return;
-
             this.savePreference(newLang);
 
-            // Get the current page path
-            let path = window.location.pathname;
-            let filename = path.split('/').pop() || 'index.html';
-
-            // Handle file:// protocol (opening files directly)
-            if (window.location.protocol === 'file:') {
-                // Get the current directory path
-                let currentDir = path.substring(0, path.lastIndexOf('/'));
-                let newPath = '';
-
-                if (currentDir.endsWith('/' + currentLang)) {
-                    // If currently in a language folder (e.g., /AMD/ar/index.html)
-                    let parentDir = currentDir.substring(0, currentDir.lastIndexOf('/'));
-                    if (newLang === 'en') {
-                        newPath = parentDir + '/' + filename; // English files are in the root
-                    } else {
-                        newPath = parentDir + '/' + newLang + '/' + filename;
-                    }
-                } else {
-                // If currently in the root folder (e.g., /AMD/index.html)
-                if (currentLang === 'en' && newLang === 'ar') {
-                    newPath = currentDir + '/ar/' + filename; // From root (en) to ar folder
-                } else {
-                    // This case should not happen if currentLang is correctly detected, but keep for safety
-                    newPath = currentDir + '/' + newLang + '/' + filename;
-                }
-                }
-                window.location.href = newPath;
-            } else {
-                // Server-based navigation (assuming root is the base)
-                let newPath = '';
-                if (currentLang) {
-                    // Remove current language prefix
-                    path = path.replace(new RegExp(`^/${currentLang}`), '');
-                }
-
-                // Ensure path starts with /
-                if (!path.startsWith('/')) {
-                    path = '/' + path;
-                }
+            if (this.getCurrentLang() === newLang) return;
 
-                // If path is just /, go to language root
-                if (newLang === 'en') {
-                    // English is in the root, so no language prefix
-                    newPath = path === '/' ? '/' : path;
-                } else {
-                    // Other languages (e.g., 'ar') have a prefix
-                    newPath = path === '/' ? `/${newLang}/` : `/${newLang}${path}`;
-                }
-                window.location.href = newPath;
+            if (window.AMD.Analytics) {
+                window.AMD.Analytics.track('language_switch', { from: this.getCurrentLang(), to: newLang });
             }
+
+            window.location.href = this.getAlternateUrl(newLang);
         },
 
         /**
          * Get equivalent page URL in another language
          */
         getAlternateUrl(lang) {
-            const currentLang = this.getCurrentLang() || this.DEFAULT_LANG;
-            let path = window.location.pathname;
-
-            // Remove current language prefix
-            path = path.replace(new RegExp(`^/${currentLang}`), '');
-
-            // Ensure path starts with /
-            if (!path.startsWith('/')) {
-                path = '/' + path;
-            }
-
-            return `/${lang}${path === '/' ? '/' : path}`;
+            return LangUrl.alternate(lang);
         },
 
         /**
@@ -220,14 +283,90 @@
         },
 
         /**
-         * Get translation for a key (for dynamic content)
-         * Uses data attributes on script tag or global config
+         * Registry entry for a language code (the root language if unknown)
+         */
+        getLanguage(lang = this.getCurrentLang()) {
+            return this.LANGUAGES.find(entry => entry.code === lang) ||
+                this.LANGUAGES.find(entry => entry.code === this.DEFAULT_LANG);
+        },
+
+        /**
+         * Intl locale for a language code
+         */
+        getLocale(lang = this.getCurrentLang()) {
+            return this.getLanguage(lang).locale || lang;
+        },
+
+        /**
+         * Resolves once the content dictionaries for the current language are
+         * available (or failed to load), so t() returns translated strings
+         */
+        ready() {
+            const Content = window.AMD.Content;
+            if (!Content) return Promise.resolve();
+
+            const lang = this.getCurrentLang() || this.DEFAULT_LANG;
+            return Promise.all([Content.load(lang), Content.load(this.DEFAULT_LANG)])
+                .catch(() => {});
+        },
+
+        /**
+         * Translate a dotted key from content/<lang>.json (for dynamic content)
+         *
+         *   t('validation.required')
+         *   t('validation.minlength', { count: 8 })   plural forms chosen by count
+         *   t('some.key', 'Fallback text')
+         *
+         * Falls back to the default language, then to `fallback`, then the key.
          */
-        t(key, fallback = '') {
-            if (window.AMD_TRANSLATIONS && window.AMD_TRANSLATIONS[key]) {
-                return window.AMD_TRANSLATIONS[key];
+        t(key, params = {}, fallback) {
+            if (typeof params === 'string') {
+                fallback = params;
+                params = {};
+            }
+
+            const lang = this.getCurrentLang() || this.DEFAULT_LANG;
+            let value = this.lookup(key, lang);
+
+            if (value === undefined && lang !== this.DEFAULT_LANG) {
+                value = this.lookup(key, this.DEFAULT_LANG);
+            }
+
+            if (value !== null && typeof value === 'object' && typeof params.count === 'number') {
+                value = this.plural(value, params.count, lang);
+            }
+
+            if (typeof value !== 'string') {
+                value = fallback !== undefined ? fallback : key;
             }
-            return fallback;
+
+            return this.interpolate(value, params);
+        },
+
+        lookup(key, lang) {
+            const Content = window.AMD.Content;
+            if (!Content || !Content.dictionaries[lang]) return undefined;
+            return Content.resolve(Content.dictionaries[lang], key);
+        },
+
+        /**
+         * Pick a plural form ({ zero, one, two, few, many, other }) for count.
+         * Arabic uses all six categories, English only one/other.
+         */
+        plural(forms, count, lang) {
+            const category = new Intl.PluralRules(this.getLocale(lang)).select(count);
+            return forms[category] !== undefined ? forms[category] : forms.other;
+        },
+
+        /**
+         * Replace {name} placeholders; numbers are formatted for the current locale
+         */
+        interpolate(str, params) {
+            return str.replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in params)) return match;
+                const value = params[name];
+                return typeof value === 'number' ? Formatter.number(value) : value;
+            });
         }
     };
 
@@ -239,8 +378,7 @@
          * Format number with proper locale
          */
         number(num, options = {}) {
-            const lang = I18n.getCurrentLang() || I18n.DEFAULT_LANG;
-            const locale = lang === 'ar' ? 'ar-EG' : 'en-US';
+            const locale = I18n.getLocale();
             return new Intl.NumberFormat(locale, options).format(num);
         },
 
@@ -248,8 +386,7 @@
          * Format currency
          */
         currency(num, currency = 'EGP') {
-            const lang = I18n.getCurrentLang() || I18n.DEFAULT_LANG;
-            const locale = lang === 'ar' ? 'ar-EG' : 'en-US';
+            const locale = I18n.getLocale();
             return new Intl.NumberFormat(locale, {
                 style: 'currency',
                 currency: currency
@@ -260,8 +397,7 @@
          * Format date
          */
         date(date, options = {}) {
-            const lang = I18n.getCurrentLang() || I18n.DEFAULT_LANG;
-            const locale = lang === 'ar' ? 'ar-EG' : 'en-US';
+            const locale = I18n.getLocale();
             const defaultOptions = {
                 year: 'numeric',
                 month: 'long',
@@ -286,6 +422,7 @@
     // Expose globally
     window.AMD = window.AMD || {};
     window.AMD.I18n = I18n;
+    window.AMD.LangUrl = LangUrl;
     window.AMD.Formatter = Formatter;
 
 })();
@@ -6,66 +6,314 @@
 (function () {
   'use strict';
 
+  /**
+   * Translate via AMD.I18n when it is loaded (404 pages ship without it)
+   */
+  function t(key, params = {}, fallback = key) {
+    const I18n = window.AMD && window.AMD.I18n;
+    if (I18n) return I18n.t(key, params, fallback);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  /**
+   * Report an event through AMD.Analytics (dropped until the visitor consents)
+   */
+  function track(name, params = {}) {
+    const Analytics = window.AMD && window.AMD.Analytics;
+    if (Analytics) Analytics.track(name, params);
+  }
+
+  /**
+   * Convert Arabic-Indic (٠-٩) and Persian (۰-۹) digits to Latin ones
+   */
+  function toLatinDigits(str) {
+    return String(str)
+      .replace(/[\u0660-\u0669]/g, d => d.charCodeAt(0) - 0x0660)
+      .replace(/[\u06f0-\u06f9]/g, d => d.charCodeAt(0) - 0x06f0);
+  }
+
+  /**
+   * Call back at most once per animation frame while the page scrolls or resizes
+   */
+  function onScrollFrame(callback) {
+    let ticking = false;
+
+    const schedule = () => {
+      if (ticking) return;
+      ticking = true;
+      requestAnimationFrame(() => {
+        ticking = false;
+        callback();
+      });
+    };
+
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule, { passive: true });
+  }
+
   // ============================================
   // Theme Management
   // ============================================
+  /**
+   * Light, dark or "system" (follow prefers-color-scheme). Only an explicit
+   * light/dark choice is stored; the theme-init partial applies it before
+   * first paint. Dispatches amd:theme-change { theme, preference } on the
+   * document whenever either changes.
+   */
   const ThemeManager = {
+    // Shared with templates/partials/theme-init.html
     STORAGE_KEY: 'amd-theme',
+    PREFERENCES: ['light', 'dark', 'system'],
+    COLORS: { light: '#ffffff', dark: '#0d1f2d' },
 
     init() {
-      this.applyTheme(this.getPreferredTheme());
+      this.media = window.matchMedia('(prefers-color-scheme: dark)');
+      this.menu = document.querySelector('[data-theme-menu]');
+      this.button = this.menu && this.menu.querySelector('.theme-toggle');
+      this.list = this.menu && this.menu.querySelector('[role="menu"]');
+      this.preference = this.getPreference();
+
+      this.applyTheme(this.getTheme());
       this.bindEvents();
     },
 
-    getPreferredTheme() {
-      const stored = localStorage.getItem(this.STORAGE_KEY);
-      if (stored) return stored;
+    /**
+     * 'light', 'dark' or 'system'
+     */
+    getPreference() {
+      let stored = null;
+      try {
+        stored = localStorage.getItem(this.STORAGE_KEY);
+      } catch (error) {
+        // Storage disabled: follow the system
+      }
+      return stored === 'light' || stored === 'dark' ? stored : 'system';
+    },
+
+    /**
+     * Theme to show for a preference
+     */
+    getTheme(preference = this.getPreference()) {
+      if (preference !== 'system') return preference;
+      return this.media && this.media.matches ? 'dark' : 'light';
+    },
+
+    setPreference(preference) {
+      if (!this.PREFERENCES.includes(preference)) return;
+
+      try {
+        if (preference === 'system') {
+          localStorage.removeItem(this.STORAGE_KEY);
+        } else {
+          localStorage.setItem(this.STORAGE_KEY, preference);
+        }
+      } catch (error) {
+        // Not remembered, but still applied to this page
+      }
 
-      return window.matchMedia('(prefers-color-scheme: dark)').matches
-        ? 'dark'
-        : 'light';
+      this.applyTheme(this.getTheme(preference), preference);
+      track('theme_change', { preference });
     },
 
-    applyTheme(theme) {
-      document.documentElement.setAttribute('data-theme', theme);
-      localStorage.setItem(this.STORAGE_KEY, theme);
+    applyTheme(theme, preference = this.getPreference()) {
+      const root = document.documentElement;
+      const changed = root.getAttribute('data-theme') !== theme || this.preference !== preference;
+
+      root.setAttribute('data-theme', theme);
+      this.preference = preference;
 
       // Update meta theme-color for mobile browsers
       const metaTheme = document.querySelector('meta[name="theme-color"]');
       if (metaTheme) {
-        metaTheme.setAttribute('content', theme === 'dark' ? '#0d1f2d' : '#ffffff');
+        metaTheme.setAttribute('content', this.COLORS[theme]);
+      }
+
+      if (this.list) {
+        this.list.querySelectorAll('[data-theme-option]').forEach(item => {
+          item.setAttribute('aria-checked', String(item.dataset.themeOption === preference));
+        });
+      }
+
+      if (changed) {
+        document.dispatchEvent(new CustomEvent('amd:theme-change', { detail: { theme, preference } }));
       }
     },
 
+    /**
+     * Switch to the opposite of the theme currently shown
+     */
     toggle() {
       const current = document.documentElement.getAttribute('data-theme');
-      const next = current === 'dark' ? 'light' : 'dark';
-      this.applyTheme(next);
+      this.setPreference(current === 'dark' ? 'light' : 'dark');
     },
 
     bindEvents() {
-      // Theme toggle buttons
-      document.querySelectorAll('.theme-toggle').forEach(btn => {
-        btn.addEventListener('click', () => this.toggle());
+      // Follow the system while no explicit choice is stored
+      this.media.addEventListener('change', () => {
+        if (this.getPreference() === 'system') this.applyTheme(this.getTheme());
+      });
+
+      // Choice made in another tab
+      window.addEventListener('storage', (e) => {
+        if (e.key === this.STORAGE_KEY || e.key === null) this.applyTheme(this.getTheme());
       });
 
-      // Listen for system preference changes
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (!localStorage.getItem(this.STORAGE_KEY)) {
-          this.applyTheme(e.matches ? 'dark' : 'light');
+      if (!this.button || !this.list) return;
+
+      this.button.addEventListener('click', () => {
+        if (this.isOpen()) {
+          this.closeMenu();
+        } else {
+          this.openMenu();
+        }
+      });
+
+      this.button.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          this.openMenu(e.key === 'ArrowUp' ? 'last' : 'checked');
         }
       });
+
+      this.list.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-theme-option]');
+        if (!item) return;
+
+        this.setPreference(item.dataset.themeOption);
+        this.closeMenu(true);
+      });
+
+      this.list.addEventListener('keydown', (e) => this.onMenuKeydown(e));
+
+      // Close when focus or a click leaves the menu
+      document.addEventListener('click', (e) => {
+        if (this.isOpen() && !this.menu.contains(e.target)) this.closeMenu();
+      });
+      this.menu.addEventListener('focusout', (e) => {
+        if (this.isOpen() && !this.menu.contains(e.relatedTarget)) this.closeMenu();
+      });
+    },
+
+    isOpen() {
+      return !this.list.hidden;
+    },
+
+    /**
+     * Open the menu and focus the checked item (or the first/last one)
+     */
+    openMenu(focus = 'checked') {
+      const items = this.getItems();
+
+      this.list.hidden = false;
+      this.button.setAttribute('aria-expanded', 'true');
+
+      const target = focus === 'last'
+        ? items[items.length - 1]
+        : items.find(item => item.getAttribute('aria-checked') === 'true') || items[0];
+      target.focus();
+    },
+
+    closeMenu(restoreFocus = false) {
+      this.list.hidden = true;
+      this.button.setAttribute('aria-expanded', 'false');
+      if (restoreFocus) this.button.focus();
+    },
+
+    getItems() {
+      return Array.from(this.list.querySelectorAll('[role="menuitemradio"]'));
+    },
+
+    onMenuKeydown(e) {
+      const items = this.getItems();
+      const index = items.indexOf(document.activeElement);
+      let next = null;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          next = items[(index + 1) % items.length];
+          break;
+        case 'ArrowUp':
+          next = items[(index - 1 + items.length) % items.length];
+          break;
+        case 'Home':
+          next = items[0];
+          break;
+        case 'End':
+          next = items[items.length - 1];
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.closeMenu(true);
+          return;
+        case 'Tab':
+          this.closeMenu();
+          return;
+        default:
+          return;
+      }
+
+      e.preventDefault();
+      next.focus();
+    }
+  };
+
+  // ============================================
+  // Scroll Lock
+  // ============================================
+  /**
+   * Keeps the page behind an overlay from scrolling. iOS Safari ignores
+   * overflow: hidden on the body, so the body is pinned with position: fixed
+   * and the scroll position restored on release. Locks are counted, so
+   * nested overlays don't release each other's.
+   */
+  const ScrollLock = {
+    count: 0,
+
+    lock() {
+      if (this.count++ > 0) return;
+
+      this.scrollY = window.scrollY;
+      Object.assign(document.body.style, {
+        position: 'fixed',
+        top: `-${this.scrollY}px`,
+        left: '0',
+        right: '0',
+        overflow: 'hidden'
+      });
+    },
+
+    unlock() {
+      if (this.count === 0 || --this.count > 0) return;
+
+      Object.assign(document.body.style, { position: '', top: '', left: '', right: '', overflow: '' });
+      // Jump straight back, without the smooth scrolling set on <html>
+      window.scrollTo({ top: this.scrollY, behavior: 'instant' });
+    },
+
+    isLocked() {
+      return this.count > 0;
     }
   };
 
   // ============================================
   // Mobile Navigation
   // ============================================
+  /**
+   * Disclosure button (.menu-toggle) for a modal menu: while open the rest of
+   * the page is inert, Tab cycles between the toggle and the menu, the page
+   * can't scroll and focus returns to the toggle on close. Swiping the menu
+   * back towards the edge it slid in from closes it.
+   */
   const MobileNav = {
+    SWIPE_THRESHOLD: 50,
+    // Matches the header-footer.css breakpoint that shows .menu-toggle
+    BREAKPOINT: '(max-width: 1024px)',
+
     init() {
       this.toggle = document.querySelector('.menu-toggle');
       this.nav = document.querySelector('.mobile-nav');
-      this.body = document.body;
+      this.inerted = [];
 
       if (!this.toggle || !this.nav) return;
 
@@ -75,26 +323,36 @@
     bindEvents() {
       this.toggle.addEventListener('click', () => this.toggleMenu());
 
-      // Close on link click
+      // Close on link click; the link decides where focus goes
       this.nav.querySelectorAll('a').forEach(link => {
-        link.addEventListener('click', () => this.close());
+        link.addEventListener('click', () => this.close(false));
       });
 
-      // Close on escape key
       document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && this.isOpen()) {
+        if (!this.isOpen()) return;
+
+        if (e.key === 'Escape') {
           this.close();
+        } else if (e.key === 'Tab') {
+          this.trapFocus(e);
         }
       });
 
-      // Close on outside click
+      // Close on outside click (the header is the only part not covered)
       document.addEventListener('click', (e) => {
         if (this.isOpen() &&
           !this.nav.contains(e.target) &&
           !this.toggle.contains(e.target)) {
-          this.close();
+          this.close(false);
         }
       });
+
+      // The menu doesn't exist on wide screens
+      window.matchMedia(this.BREAKPOINT).addEventListener('change', (e) => {
+        if (!e.matches && this.isOpen()) this.close(false);
+      });
+
+      this.bindSwipe();
     },
 
     isOpen() {
@@ -110,230 +368,940 @@
     },
 
     open() {
+      if (this.isOpen()) return;
+
       this.nav.classList.add('is-open');
       this.toggle.classList.add('is-active');
       this.toggle.setAttribute('aria-expanded', 'true');
-      this.body.style.overflow = 'hidden';
+
+      ScrollLock.lock();
+      this.setInert(true);
+
+      const first = this.getFocusable()[0];
+      if (first) first.focus();
     },
 
-    close() {
+    close(restoreFocus = true) {
+      if (!this.isOpen()) return;
+
       this.nav.classList.remove('is-open');
       this.toggle.classList.remove('is-active');
       this.toggle.setAttribute('aria-expanded', 'false');
-      this.body.style.overflow = '';
+
+      this.setInert(false);
+      ScrollLock.unlock();
+
+      if (restoreFocus) this.toggle.focus();
+    },
+
+    /**
+     * Make everything except the toggle and the menu inert (or undo it).
+     * Walks up from both, marking the siblings of each ancestor; elements
+     * that were already inert are left alone.
+     */
+    setInert(inert) {
+      if (!inert) {
+        this.inerted.forEach(el => { el.inert = false; });
+        this.inerted = [];
+        return;
+      }
+
+      const keep = [this.toggle, this.nav];
+
+      keep.forEach(el => {
+        for (let node = el; node.parentElement && node !== document.body; node = node.parentElement) {
+          Array.from(node.parentElement.children).forEach(sibling => {
+            if (sibling.inert || sibling.matches('script, style, template') ||
+              keep.some(kept => sibling.contains(kept))) return;
+
+            sibling.inert = true;
+            this.inerted.push(sibling);
+          });
+        }
+      });
+    },
+
+    getFocusable() {
+      return Array.from(this.nav.querySelectorAll('a[href], button:not([disabled]), input, select'));
+    },
+
+    /**
+     * Tab order while open: toggle, menu items, back to the toggle
+     */
+    trapFocus(e) {
+      const order = [this.toggle, ...this.getFocusable()];
+      const first = order[0];
+      const last = order[order.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      } else if (!order.includes(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    isRtl() {
+      return getComputedStyle(this.nav).direction === 'rtl';
+    },
+
+    /**
+     * The menu slides in from the inline end (right in LTR, left in RTL),
+     * so a horizontal swipe back towards that edge closes it
+     */
+    bindSwipe() {
+      let start = null;
+
+      this.nav.addEventListener('touchstart', (e) => {
+        const touch = e.touches[0];
+        start = e.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+      }, { passive: true });
+
+      this.nav.addEventListener('touchend', (e) => {
+        if (!start || !this.isOpen()) return;
+
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - start.x;
+        const dy = touch.clientY - start.y;
+        start = null;
+
+        const towardsEdge = this.isRtl() ? dx < 0 : dx > 0;
+        if (towardsEdge && Math.abs(dx) > this.SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+          this.close();
+        }
+      });
     }
   };
 
   // ============================================
   // Header Scroll Behavior
   // ============================================
+  /**
+   * Shadow once the page scrolls, optional hide-on-scroll-down. Options are
+   * data attributes on .header:
+   *   data-shadow-threshold="10"   px scrolled before header--scrolled
+   *   data-auto-hide               hide while scrolling down, show on the way up
+   *   data-hide-offset="100"       never hide above this scroll position
+   *   data-hysteresis="8"          px to scroll in one direction before switching
+   *
+   * Publishes --header-height-current (the measured height, used by
+   * scroll-margin-top) and --header-offset (0 while hidden, used by sticky
+   * elements below the header) on the root element.
+   */
   const HeaderScroll = {
+    DEFAULTS: { shadowThreshold: 10, hideOffset: 100, hysteresis: 8 },
+
     init() {
       this.header = document.querySelector('.header');
       if (!this.header) return;
 
-      this.lastScrollY = 0;
-      this.ticking = false;
+      this.options = this.getOptions();
+      this.lastScrollY = window.scrollY;
+      this.hidden = false;
+      this.height = 0;
+
+      onScrollFrame(() => this.update());
 
-      window.addEventListener('scroll', () => this.onScroll(), { passive: true });
+      // Keyboard users tabbing into a hidden header need to see it
+      this.header.addEventListener('focusin', () => this.setHidden(false));
+
+      this.observeHeight();
+      this.update();
     },
 
-    onScroll() {
-      if (!this.ticking) {
-        requestAnimationFrame(() => {
-          this.update();
-          this.ticking = false;
-        });
-        this.ticking = true;
+    getOptions() {
+      const data = this.header.dataset;
+      const number = (value, fallback) => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? fallback : parsed;
+      };
+
+      return {
+        shadowThreshold: number(data.shadowThreshold, this.DEFAULTS.shadowThreshold),
+        autoHide: data.autoHide !== undefined && data.autoHide !== 'false',
+        hideOffset: number(data.hideOffset, this.DEFAULTS.hideOffset),
+        hysteresis: number(data.hysteresis, this.DEFAULTS.hysteresis)
+      };
+    },
+
+    /**
+     * Re-measure whenever the header changes size (breakpoints, wrapping text)
+     */
+    observeHeight() {
+      const measure = () => {
+        this.height = this.header.offsetHeight;
+        document.documentElement.style.setProperty('--header-height-current', `${this.height}px`);
+        this.publishOffset();
+      };
+
+      if ('ResizeObserver' in window) {
+        new ResizeObserver(measure).observe(this.header);
+      } else {
+        window.addEventListener('resize', measure);
       }
+
+      measure();
+    },
+
+    publishOffset() {
+      document.documentElement.style.setProperty('--header-offset', `${this.getOffset()}px`);
+    },
+
+    /**
+     * Height of the header currently covering the top of the viewport
+     */
+    getOffset() {
+      return this.hidden ? 0 : this.height;
     },
 
     update() {
+      // Pinned by an overlay: scrollY reads 0 until it is released
+      if (ScrollLock.isLocked()) return;
+
       const scrollY = window.scrollY;
+      const { shadowThreshold, autoHide, hideOffset, hysteresis } = this.options;
 
-      // Add shadow when scrolled
-      if (scrollY > 10) {
-        this.header.classList.add('header--scrolled');
-      } else {
-        this.header.classList.remove('header--scrolled');
+      this.header.classList.toggle('header--scrolled', scrollY > shadowThreshold);
+
+      if (!autoHide || scrollY <= hideOffset) {
+        this.setHidden(false);
+        this.lastScrollY = scrollY;
+        return;
       }
 
-      // Hide on scroll down, show on scroll up (optional - can be enabled)
-      // if (scrollY > this.lastScrollY && scrollY > 100) {
-      //   this.header.classList.add('header--hidden');
-      // } else {
-      //   this.header.classList.remove('header--hidden');
-      // }
+      // Smaller movements add up until they pass the hysteresis
+      const delta = scrollY - this.lastScrollY;
+      if (Math.abs(delta) < hysteresis) return;
 
+      this.setHidden(delta > 0 && !this.header.contains(document.activeElement));
       this.lastScrollY = scrollY;
+    },
+
+    setHidden(hidden) {
+      if (hidden === this.hidden) return;
+
+      this.hidden = hidden;
+      this.header.classList.toggle('header--hidden', hidden);
+      this.publishOffset();
     }
   };
 
   // ============================================
-  // Form Validation
+  // Scroll Spy
   // ============================================
-  const FormValidator = {
+  /**
+   * Marks the link to the section in view with aria-current="location" in
+   * every [data-scroll-spy] nav of in-page links. A section becomes current
+   * once its top passes the activation line below the header and sticky nav.
+   * Publishes the sticky nav's height as --page-nav-height for
+   * scroll-margin-top.
+   */
+  const ScrollSpy = {
+    // Activation line, as a share of the viewport height
+    ACTIVATION: 0.25,
+
     init() {
-      document.querySelectorAll('form[data-validate]').forEach(form => {
-        this.setupForm(form);
-      });
+      this.navs = Array.from(document.querySelectorAll('[data-scroll-spy]'))
+        .map(nav => ({
+          nav,
+          items: Array.from(nav.querySelectorAll('a[href^="#"]'))
+            .map(link => ({ link, target: document.getElementById(decodeURIComponent(link.hash.slice(1))) }))
+            .filter(item => item.target)
+        }))
+        .filter(spy => spy.items.length);
+
+      if (!this.navs.length) return;
+
+      this.observeNavHeight(this.navs[0].nav);
+      onScrollFrame(() => this.update());
+      this.update();
     },
 
-    setupForm(form) {
-      form.setAttribute('novalidate', '');
+    observeNavHeight(nav) {
+      const measure = () => {
+        document.documentElement.style.setProperty('--page-nav-height', `${nav.offsetHeight}px`);
+      };
 
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
+      if ('ResizeObserver' in window) {
+        new ResizeObserver(measure).observe(nav);
+      } else {
+        window.addEventListener('resize', measure);
+      }
 
-        if (this.validate(form)) {
-          this.handleSubmit(form);
-        }
-      });
+      measure();
+    },
 
-      // Real-time validation
-      form.querySelectorAll('input, textarea, select').forEach(field => {
-        field.addEventListener('blur', () => this.validateField(field));
-        field.addEventListener('input', () => {
-          if (field.classList.contains('is-invalid')) {
-            this.validateField(field);
+    update() {
+      if (ScrollLock.isLocked()) return;
+
+      const root = document.documentElement;
+      const atBottom = window.innerHeight + window.scrollY >= root.scrollHeight - 2;
+
+      this.navs.forEach(({ nav, items }) => {
+        const line = HeaderScroll.getOffset() + nav.offsetHeight + window.innerHeight * this.ACTIVATION;
+        let current = null;
+
+        items.forEach(item => {
+          if (item.target.getBoundingClientRect().top <= line) current = item;
+        });
+
+        // Short last sections never reach the line
+        if (atBottom) current = items[items.length - 1];
+
+        items.forEach(item => {
+          if (item === current) {
+            item.link.setAttribute('aria-current', 'location');
+          } else {
+            item.link.removeAttribute('aria-current');
           }
         });
       });
+    }
+  };
+
+  // ============================================
+  // Reading Progress
+  // ============================================
+  /**
+   * Fills [data-reading-progress] .reading-progress__bar as the page is read
+   */
+  const ReadingProgress = {
+    init() {
+      this.bar = document.querySelector('[data-reading-progress] .reading-progress__bar');
+      if (!this.bar) return;
+
+      onScrollFrame(() => this.update());
+      this.update();
     },
 
-    validate(form) {
-      let isValid = true;
+    update() {
+      if (ScrollLock.isLocked()) return;
 
-      form.querySelectorAll('input, textarea, select').forEach(field => {
-        if (!this.validateField(field)) {
-          isValid = false;
+      const max = document.documentElement.scrollHeight - window.innerHeight;
+      const progress = max > 0 ? Math.min(Math.max(window.scrollY / max, 0), 1) : 0;
+
+      this.bar.style.transform = `scaleX(${progress})`;
+    }
+  };
+
+  // ============================================
+  // Phone Numbers
+  // ============================================
+  /**
+   * Parses phone numbers typed with Latin or Arabic-Indic digits into E.164.
+   * Egyptian numbers are checked against mobile (010/011/012/015) and
+   * landline area codes; other countries only by length. A select with
+   * data-phone-country next to the input picks the country (default EG).
+   */
+  const Phone = {
+    DEFAULT_COUNTRY: 'EG',
+
+    // Calling codes for the countries offered in the selector
+    DIAL_CODES: {
+      EG: '20', SA: '966', AE: '971', KW: '965', QA: '974', BH: '973',
+      OM: '968', JO: '962', LB: '961', GB: '44', DE: '49', US: '1'
+    },
+
+    // National significant numbers, i.e. without the leading 0
+    EGYPT: {
+      mobile: /^1[0125]\d{8}$/,
+      landline: /^(?:2\d{8}|3\d{7}|(?:13|15|40|45|46|47|48|50|55|57|62|64|65|66|68|69|82|84|86|88|92|93|95|96|97)\d{7})$/
+    },
+
+    init() {
+      // Re-check the number when its country changes
+      document.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-phone-country]')) return;
+
+        const field = this.getField(e.target);
+        if (field && (field.classList.contains('is-valid') || field.classList.contains('is-invalid'))) {
+          FormValidator.validateField(field);
         }
       });
-
-      return isValid;
     },
 
-    validateField(field) {
-      const rules = {
-        required: field.hasAttribute('required'),
-        email: field.type === 'email',
-        tel: field.type === 'tel',
-        minlength: field.getAttribute('minlength'),
-        pattern: field.getAttribute('pattern')
-      };
+    /**
+     * { e164, country, type: 'mobile' | 'landline' | 'other' } or null when invalid
+     */
+    parse(value, country = this.DEFAULT_COUNTRY) {
+      const input = toLatinDigits(value).trim();
 
-      let isValid = true;
-      let message = '';
+      // Digits with the usual separators and an optional leading +
+      if (!/^\+?[\d\s\-().]+$/.test(input)) return null;
 
-      const value = field.value.trim();
+      const digits = input.replace(/\D/g, '');
+      let international = null;
 
-      // Required check
-      if (rules.required && !value) {
-        isValid = false;
-        message = field.dataset.errorRequired || 'This field is required';
+      if (input.startsWith('+')) {
+        international = digits;
+      } else if (digits.startsWith('00')) {
+        international = digits.slice(2);
       }
 
-      // Email check
-      if (isValid && value && rules.email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-          isValid = false;
-          message = field.dataset.errorEmail || 'Please enter a valid email';
-        }
-      }
+      if (international !== null) {
+        const code = Object.keys(this.DIAL_CODES)
+          .sort((a, b) => this.DIAL_CODES[b].length - this.DIAL_CODES[a].length)
+          .find(key => international.startsWith(this.DIAL_CODES[key])) || null;
 
-      // Phone check
-      if (isValid && value && rules.tel) {
-        const phoneRegex = /^[\d\s\-+()]{8,}$/;
-        if (!phoneRegex.test(value)) {
-          isValid = false;
-          message = field.dataset.errorTel || 'Please enter a valid phone number';
+        if (code === 'EG') {
+          return this.parseEgypt(international.slice(2).replace(/^0/, ''));
         }
+        if (international.length < 8 || international.length > 15) return null;
+        return { e164: `+${international}`, country: code, type: 'other' };
       }
 
-      // Minlength check
-      if (isValid && value && rules.minlength) {
-        if (value.length < parseInt(rules.minlength)) {
-          isValid = false;
-          message = field.dataset.errorMinlength ||
-            `Minimum ${rules.minlength} characters required`;
-        }
+      if (country === 'EG') {
+        // "01040245555", "1040245555" or "201040245555"
+        let nsn = digits.replace(/^0/, '');
+        if (!digits.startsWith('0') && digits.startsWith('20') && digits.length >= 11) nsn = digits.slice(2);
+        return this.parseEgypt(nsn);
       }
 
-      // Pattern check
-      if (isValid && value && rules.pattern) {
-        const regex = new RegExp(rules.pattern);
-        if (!regex.test(value)) {
-          isValid = false;
-          message = field.dataset.errorPattern || 'Invalid format';
-        }
-      }
+      const dial = this.DIAL_CODES[country];
+      const nsn = digits.replace(/^0+/, '');
 
-      this.setFieldState(field, isValid, message);
-      return isValid;
+      if (!dial || nsn.length < 6 || nsn.length > 12 || dial.length + nsn.length > 15) return null;
+      return { e164: `+${dial}${nsn}`, country, type: 'other' };
     },
 
-    setFieldState(field, isValid, message) {
-      const errorEl = field.parentElement.querySelector('.form-error');
-
-      if (isValid) {
-        field.classList.remove('is-invalid');
-        field.classList.add('is-valid');
-        field.setAttribute('aria-invalid', 'false');
-        if (errorEl) errorEl.textContent = '';
-      } else {
-        field.classList.remove('is-valid');
-        field.classList.add('is-invalid');
-        field.setAttribute('aria-invalid', 'true');
-        if (errorEl) {
-          errorEl.textContent = message;
-          errorEl.setAttribute('role', 'alert');
-        }
-      }
+    parseEgypt(nsn) {
+      const type = ['mobile', 'landline'].find(key => this.EGYPT[key].test(nsn));
+      return type ? { e164: `+20${nsn}`, country: 'EG', type } : null;
     },
 
-    async handleSubmit(form) {
-      const submitBtn = form.querySelector('[type="submit"]');
-      const originalText = submitBtn.textContent;
-
-      // Check honeypot
-      const honeypot = form.querySelector('.form-honeypot input');
-      if (honeypot && honeypot.value) {
-        console.log('Spam detected');
-        return;
-      }
+    /**
+     * Country chosen next to a tel field
+     */
+    getCountry(field) {
+      const select = this.getSelect(field);
+      return (select && select.value) || field.dataset.country || this.DEFAULT_COUNTRY;
+    },
 
-      // Loading state
-      submitBtn.disabled = true;
-      submitBtn.innerHTML = '<span class="spinner"></span>';
+    getSelect(field) {
+      const wrapper = field.closest('.phone-input');
+      return wrapper ? wrapper.querySelector('[data-phone-country]') : null;
+    },
 
-      try {
-        // Collect form data
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
+    getField(select) {
+      const wrapper = select.closest('.phone-input');
+      return wrapper ? wrapper.querySelector('input[type="tel"]') : null;
+    },
 
-        // Remove honeypot from data
-        delete data.website;
+    /**
+     * Replace tel values in collected form data with their E.164 form
+     */
+    normalize(form, data) {
+      form.querySelectorAll('input[type="tel"][name]').forEach(field => {
+        if (!data[field.name]) return;
 
-        // Simulate API call (replace with actual endpoint)
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        const number = this.parse(data[field.name], this.getCountry(field));
+        if (number) data[field.name] = number.e164;
+      });
+      return data;
+    }
+  };
 
-        // Success
-        this.showSuccess(form);
-        form.reset();
+  // ============================================
+  // Form Validation
+  // ============================================
+  const FormValidator = {
+    // English defaults, used when content/<lang>.json is unavailable
+    MESSAGES: {
+      required: 'This field is required',
+      required_without: 'Please fill in this field or {field}',
+      email: 'Please enter a valid email',
+      tel: 'Please enter a valid phone number',
+      minlength: 'Minimum {count} characters required',
+      maxlength: 'Maximum {count} characters allowed',
+      min: 'Must be {min} or more',
+      max: 'Must be {max} or less',
+      pattern: 'Invalid format',
+      match: 'Does not match {field}',
+      filetype: 'Please upload a {types} file',
+      filesize: 'File must be {size} MB or smaller'
+    },
 
-      } catch (error) {
-        console.error('Form submission error:', error);
-        this.showError(form);
-      } finally {
-        submitBtn.disabled = false;
-        submitBtn.textContent = originalText;
+    // Delay before async rules run while the user is typing
+    DEBOUNCE: 400,
+
+    /**
+     * Rule registry. validate(value, param, field, form) returns a boolean,
+     * or a Promise for rules flagged async (debounced while typing).
+     * Rules skip empty values unless implicit; fieldParam marks params that
+     * name another field, which re-validates this one when it changes.
+     * Messages come from validation.<name> unless a rule sets message.
+     */
+    rules: {
+      required: {
+        implicit: true,
+        validate: value => value !== ''
+      },
+      required_without: {
+        implicit: true,
+        fieldParam: true,
+        validate: (value, param, field, form) => value !== '' || FormValidator.getValue(form.elements[param]) !== '',
+        params: (param, field, form) => ({ field: FormValidator.getLabel(form.elements[param]) })
+      },
+      email: {
+        validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+      },
+      // Optional param limits Egyptian numbers to "mobile" or "landline"
+      tel: {
+        validate: (value, param, field) => {
+          const number = Phone.parse(value, Phone.getCountry(field));
+          return Boolean(number) && (!param || number.country !== 'EG' || number.type === param);
+        }
+      },
+      minlength: {
+        validate: (value, param) => value.length >= parseInt(param, 10),
+        params: param => ({ count: parseInt(param, 10) })
+      },
+      maxlength: {
+        validate: (value, param) => value.length <= parseInt(param, 10),
+        params: param => ({ count: parseInt(param, 10) })
+      },
+      min: {
+        validate: (value, param) => parseFloat(toLatinDigits(value)) >= parseFloat(param),
+        params: param => ({ min: parseFloat(param) })
+      },
+      max: {
+        validate: (value, param) => parseFloat(toLatinDigits(value)) <= parseFloat(param),
+        params: param => ({ max: parseFloat(param) })
+      },
+      pattern: {
+        validate: (value, param) => new RegExp(`^(?:${param})$`).test(value)
+      },
+      match: {
+        fieldParam: true,
+        validate: (value, param, field, form) => value === FormValidator.getValue(form.elements[param]),
+        params: (param, field, form) => ({ field: FormValidator.getLabel(form.elements[param]) })
+      },
+      // Accept tokens: ".pdf", "application/pdf", "image/*"
+      filetype: {
+        validate: (value, param, field) => {
+          const accepted = param.split(',').map(token => token.trim().toLowerCase());
+          return Array.from(field.files || []).every(file => {
+            const name = file.name.toLowerCase();
+            const type = (file.type || '').toLowerCase();
+            return accepted.some(token => token.startsWith('.')
+              ? name.endsWith(token)
+              : token.endsWith('/*') ? type.startsWith(token.slice(0, -1)) : type === token);
+          });
+        },
+        params: param => {
+          const tokens = param.split(',').map(token => token.trim());
+          const extensions = tokens.filter(token => token.startsWith('.')).map(token => token.slice(1).toUpperCase());
+          return { types: FormValidator.formatList(extensions.length ? extensions : tokens) };
+        }
+      },
+      // Size limit in bytes
+      filesize: {
+        validate: (value, param, field) => Array.from(field.files || []).every(file => file.size <= parseInt(param, 10)),
+        params: param => ({ size: Math.round(parseInt(param, 10) / 1048576 * 10) / 10 })
       }
     },
 
-    showSuccess(form) {
-      const successEl = form.querySelector('.form-success');
-      if (successEl) {
+    // Forms configured from JS: form → { fieldName: 'rule|rule:param' | [rules] }
+    schemas: new WeakMap(),
+    // Latest validation run per field, so stale async results are dropped
+    runs: new WeakMap(),
+    // Forms edited but not yet submitted, with the last field touched
+    pending: new Set(),
+    lastField: new WeakMap(),
+
+    init() {
+      document.querySelectorAll('form[data-validate]').forEach(form => {
+        this.setupForm(form);
+      });
+
+      window.addEventListener('pagehide', () => {
+        this.pending.forEach(form => {
+          track('form_abandon', { form: this.getFormName(form), field: this.lastField.get(form) || '' });
+        });
+        this.pending.clear();
+      });
+    },
+
+    /**
+     * Register a rule for data-rules and schemas:
+     *   addRule('iban', value => /^EG\d{27}$/.test(value), { defaultMessage: 'Invalid IBAN' })
+     *   addRule('available', async value => …, { async: true, debounce: 600, message: 'signup.taken' })
+     */
+    addRule(name, validate, options = {}) {
+      this.rules[name] = { ...options, validate };
+      if (options.defaultMessage) this.MESSAGES[name] = options.defaultMessage;
+    },
+
+    /**
+     * Declare rules for a form from JS; data-validate is not required
+     */
+    setSchema(form, schema) {
+      this.schemas.set(form, schema);
+      if (!form.hasAttribute('novalidate')) this.setupForm(form);
+    },
+
+    setupForm(form) {
+      form.setAttribute('novalidate', '');
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+
+        // Stepped forms move through their steps before the real submit
+        if (await FormWizard.advance(form)) return;
+
+        if (await this.validate(form)) {
+          this.handleSubmit(form);
+        }
+      });
+
+      form.addEventListener('input', () => {
+        if (this.pending.has(form)) return;
+        this.pending.add(form);
+        track('form_start', { form: this.getFormName(form) });
+      });
+      form.addEventListener('focusin', (e) => {
+        if (e.target.name) this.lastField.set(form, e.target.name);
+      });
+
+      // Real-time validation
+      form.querySelectorAll('input, textarea, select').forEach(field => {
+        field.addEventListener('blur', () => this.validateField(field));
+        field.addEventListener('input', () => {
+          if (field.classList.contains('is-invalid') || this.hasAsyncRule(field)) {
+            this.validateField(field, { debounce: true });
+          }
+          this.validateDependents(field);
+        });
+      });
+    },
+
+    /**
+     * Name used in analytics events: data-track, the id or the endpoint
+     */
+    getFormName(form) {
+      return form.dataset.track || form.id || (form.getAttribute('action') || '').replace(/^\/api\//, '') || 'form';
+    },
+
+    /**
+     * Validate every enabled field under root (a form or part of one)
+     */
+    async validate(root) {
+      const fields = Array.from(root.querySelectorAll('input, textarea, select')).filter(field => !field.disabled);
+      const results = await Promise.all(fields.map(field => this.validateField(field)));
+      return results.every(Boolean);
+    },
+
+    /**
+     * Run the field's rules in order and show the first failure.
+     * With debounce, async rules wait until typing pauses.
+     */
+    async validateField(field, options = {}) {
+      const form = field.form;
+      const rules = this.getRules(field);
+      const value = this.getValue(field);
+      const run = (this.runs.get(field) || 0) + 1;
+
+      this.runs.set(field, run);
+
+      for (const { name, param, message } of rules) {
+        const rule = this.rules[name];
+        if (!rule.implicit && value === '') continue;
+
+        if (rule.async) {
+          if (options.debounce) {
+            await new Promise(resolve => setTimeout(resolve, rule.debounce || this.DEBOUNCE));
+            if (this.runs.get(field) !== run) return false;
+          }
+          field.setAttribute('aria-busy', 'true');
+        }
+
+        let isValid;
+        try {
+          isValid = await rule.validate(value, param, field, form);
+        } catch (error) {
+          console.error(`Validation rule "${name}" failed:`, error);
+          isValid = false;
+        }
+
+        field.removeAttribute('aria-busy');
+        if (this.runs.get(field) !== run) return false;
+
+        if (!isValid) {
+          const params = rule.params ? rule.params(param, field, form) : {};
+          this.setFieldState(field, false, this.getMessage(name, params, message || rule.message));
+          return false;
+        }
+      }
+
+      this.setFieldState(field, true, '');
+      return true;
+    },
+
+    /**
+     * Rules from HTML attributes, then data-rules, then the form's schema;
+     * a later source replaces the param of a rule with the same name
+     */
+    getRules(field) {
+      const rules = new Map();
+      const add = (name, param = '', message) => {
+        if (!this.rules[name]) {
+          console.warn(`[validation] Unknown rule "${name}"`);
+          return;
+        }
+        rules.set(name, { name, param, message });
+      };
+
+      if (field.required) add('required');
+
+      if (field.type === 'email') add('email');
+      if (field.type === 'tel') add('tel');
+      if (field.hasAttribute('minlength')) add('minlength', field.getAttribute('minlength'));
+      if (field.hasAttribute('maxlength')) add('maxlength', field.getAttribute('maxlength'));
+      if (field.type === 'number' && field.hasAttribute('min')) add('min', field.getAttribute('min'));
+      if (field.type === 'number' && field.hasAttribute('max')) add('max', field.getAttribute('max'));
+      if (field.hasAttribute('pattern')) add('pattern', field.getAttribute('pattern'));
+      if (field.type === 'file' && field.hasAttribute('accept')) add('filetype', field.getAttribute('accept'));
+      if (field.type === 'file' && field.dataset.maxSize) add('filesize', field.dataset.maxSize);
+
+      this.parseRules(field.dataset.rules).forEach(({ name, param }) => add(name, param));
+
+      const schema = field.form && this.schemas.get(field.form);
+      if (schema && field.name && schema[field.name]) {
+        [].concat(schema[field.name]).forEach(entry => {
+          if (typeof entry === 'string') {
+            this.parseRules(entry).forEach(({ name, param }) => add(name, param));
+          } else {
+            add(entry.rule, entry.param !== undefined ? String(entry.param) : '', entry.message);
+          }
+        });
+      }
+
+      return Array.from(rules.values());
+    },
+
+    /**
+     * "required|maxlength:120|match:email" → [{ name, param }]
+     */
+    parseRules(str) {
+      if (!str) return [];
+
+      return str.split('|').map(part => part.trim()).filter(Boolean).map(part => {
+        const index = part.indexOf(':');
+        return index === -1
+          ? { name: part, param: '' }
+          : { name: part.slice(0, index).trim(), param: part.slice(index + 1).trim() };
+      });
+    },
+
+    hasAsyncRule(field) {
+      return this.getRules(field).some(({ name }) => this.rules[name].async);
+    },
+
+    /**
+     * Re-check fields whose rules point at this one (match:email, required_without:phone)
+     * once they have been validated
+     */
+    validateDependents(field) {
+      if (!field.form || !field.name) return;
+
+      field.form.querySelectorAll('.is-valid, .is-invalid').forEach(other => {
+        if (other === field) return;
+
+        const depends = this.getRules(other).some(({ name, param }) => this.rules[name].fieldParam && param === field.name);
+        if (depends) this.validateField(other);
+      });
+    },
+
+    /**
+     * Trimmed value; unchecked checkboxes and radio groups count as empty
+     */
+    getValue(field) {
+      if (!field) return '';
+
+      if (field.type === 'radio' && field.form) {
+        const checked = field.form.querySelector(`input[type="radio"][name="${field.name}"]:checked`);
+        return checked ? checked.value : '';
+      }
+      if (field.type === 'checkbox') return field.checked ? field.value : '';
+
+      return (field.value || '').trim();
+    },
+
+    /**
+     * Visible label of a field, for messages that mention it
+     */
+    getLabel(field) {
+      if (!field) return '';
+
+      const label = field.id && document.querySelector(`label[for="${field.id}"]`);
+      const text = label ? label.textContent : field.getAttribute('aria-label') || field.name;
+      return text.replace(/\s*\*\s*$/, '').trim();
+    },
+
+    formatList(items) {
+      const I18n = window.AMD && window.AMD.I18n;
+      if (!Intl.ListFormat) return items.join(', ');
+      return new Intl.ListFormat(I18n ? I18n.getLocale() : 'en', { type: 'disjunction' }).format(items);
+    },
+
+    getMessage(rule, params = {}, key = `validation.${rule}`) {
+      return t(key, params, this.MESSAGES[rule] || this.MESSAGES.pattern);
+    },
+
+    setFieldState(field, isValid, message) {
+      const errorEl = isValid
+        ? field.parentElement.querySelector('.form-error')
+        : this.getErrorElement(field);
+
+      if (isValid) {
+        field.classList.remove('is-invalid');
+        field.classList.add('is-valid');
+        field.setAttribute('aria-invalid', 'false');
+        if (errorEl) {
+          errorEl.textContent = '';
+          this.setDescribedBy(field, errorEl.id, false);
+        }
+      } else {
+        field.classList.remove('is-valid');
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+        if (errorEl) {
+          errorEl.textContent = message;
+          errorEl.setAttribute('role', 'alert');
+          this.setDescribedBy(field, errorEl.id, true);
+        }
+      }
+    },
+
+    /**
+     * Add or remove one id in aria-describedby, keeping hints already listed
+     */
+    setDescribedBy(field, id, described) {
+      if (!id) return;
+
+      const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+      if (described) ids.push(id);
+
+      if (ids.length) {
+        field.setAttribute('aria-describedby', ids.join(' '));
+      } else {
+        field.removeAttribute('aria-describedby');
+      }
+    },
+
+    // Create the error container on demand so server errors always have a place to show
+    getErrorElement(field) {
+      let errorEl = field.parentElement.querySelector('.form-error');
+
+      if (!errorEl) {
+        errorEl = document.createElement('div');
+        errorEl.className = 'form-error';
+        errorEl.id = `${field.id || field.name}-error`;
+        field.parentElement.appendChild(errorEl);
+      }
+
+      return errorEl;
+    },
+
+    async handleSubmit(form) {
+      const submitBtn = form.querySelector('[type="submit"]');
+      const originalText = submitBtn.textContent;
+      const submitter = window.AMD && window.AMD.FormSubmitter;
+      const attribution = window.AMD && window.AMD.Attribution;
+
+      // Check honeypot
+      const honeypot = form.querySelector('.form-honeypot input');
+      if (honeypot && honeypot.value) {
+        console.log('Spam detected');
+        return;
+      }
+
+      this.hideMessages(form);
+
+      // Loading state
+      submitBtn.disabled = true;
+      submitBtn.innerHTML = '<span class="spinner"></span>';
+
+      try {
+        if (!submitter) {
+          throw new Error('Form submission module is not loaded');
+        }
+
+        // Campaign source of the lead, as hidden fields
+        if (attribution) attribution.attach(form);
+
+        const data = Phone.normalize(form, submitter.collect(form));
+
+        // Remove honeypot from data
+        delete data.website;
+
+        const { status, result } = await submitter.submit(form, data);
+
+        if (status === 'queued') {
+          this.showQueued(form);
+        } else {
+          this.showSuccess(form);
+        }
+        this.pending.delete(form);
+        track('form_submit', { form: this.getFormName(form), status });
+        // Before the reset, so listeners can still read the form
+        form.dispatchEvent(new CustomEvent('amd:form-sent', { detail: { status, data, result } }));
+        this.resetForm(form);
+
+      } catch (error) {
+        console.error('Form submission error:', error);
+
+        if (error.fieldErrors) {
+          this.applyServerErrors(form, error.fieldErrors);
+        }
+        this.showError(form, error.status);
+        track('form_error', { form: this.getFormName(form), status: error.status || 0 });
+        form.dispatchEvent(new CustomEvent('amd:form-error', { detail: { status: error.status, error } }));
+      } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = originalText;
+      }
+    },
+
+    /**
+     * Map { field: message } (or { field: [messages] }) from the server onto fields
+     */
+    applyServerErrors(form, errors) {
+      let firstInvalid = null;
+
+      Object.keys(errors).forEach(name => {
+        const field = form.elements[name];
+        if (!field || !field.classList) return;
+
+        const message = [].concat(errors[name])[0];
+        this.setFieldState(field, false, message);
+        firstInvalid = firstInvalid || field;
+      });
+
+      if (firstInvalid) firstInvalid.focus();
+    },
+
+    resetForm(form) {
+      form.reset();
+      form.querySelectorAll('.is-valid, .is-invalid').forEach(field => {
+        field.classList.remove('is-valid', 'is-invalid');
+        field.removeAttribute('aria-invalid');
+      });
+    },
+
+    hideMessages(form) {
+      form.querySelectorAll('.form-success, .form-queued, .form-error-global').forEach(el => {
+        el.style.display = 'none';
+      });
+    },
+
+    showSuccess(form) {
+      const successEl = form.querySelector('.form-success');
+      if (successEl) {
         successEl.style.display = 'block';
         successEl.setAttribute('role', 'status');
         setTimeout(() => {
@@ -342,222 +1310,2422 @@
       }
     },
 
-    showError(form) {
-      const errorEl = form.querySelector('.form-error-global');
-      if (errorEl) {
-        errorEl.style.display = 'block';
-        errorEl.setAttribute('role', 'alert');
+    showQueued(form) {
+      const queuedEl = form.querySelector('.form-queued');
+      if (queuedEl) {
+        queuedEl.style.display = 'block';
+        queuedEl.setAttribute('role', 'status');
+      } else {
+        this.showSuccess(form);
+      }
+    },
+
+    /**
+     * A .form-error-global with data-error-status="409" (space-separated list)
+     * replaces the generic message for that response status
+     */
+    showError(form, status) {
+      const errorEl = (status && form.querySelector(`.form-error-global[data-error-status~="${status}"]`)) ||
+        form.querySelector('.form-error-global:not([data-error-status])');
+      if (errorEl) {
+        errorEl.style.display = 'block';
+        errorEl.setAttribute('role', 'alert');
+      }
+    }
+  };
+
+  // ============================================
+  // Form Wizard
+  // ============================================
+  /**
+   * Stepped mode for form[data-validate]: each <fieldset data-step> is one
+   * step, validated before the next is shown. The submit button only appears
+   * on the last step. Entered values and the current step are kept in
+   * sessionStorage (keyed by form id or action) until the form is submitted.
+   *
+   *   <p data-wizard-status tabindex="-1"></p>       ("Step 2 of 4: …", focused on step change)
+   *   <ol data-wizard-progress><li>…</li></ol>       (one item per step)
+   *   <button type="button" data-wizard-back>  <button type="button" data-wizard-next>
+   */
+  const FormWizard = {
+    STORAGE_PREFIX: 'amd-wizard:',
+
+    // form → { form, steps, current, key }
+    wizards: new WeakMap(),
+
+    init() {
+      const forms = Array.from(document.querySelectorAll('form[data-validate]'))
+        .filter(form => form.querySelector('fieldset[data-step]'));
+
+      if (!forms.length) return;
+
+      forms.forEach(form => this.setup(form));
+
+      // Step labels and select options are re-rendered from content after load
+      document.addEventListener('amd:content-ready', () => {
+        forms.forEach(form => {
+          const wizard = this.wizards.get(form);
+          const saved = this.load(wizard);
+          if (saved) this.restoreValues(form, saved.values);
+          this.render(wizard);
+        });
+      });
+    },
+
+    setup(form) {
+      const wizard = {
+        form,
+        steps: Array.from(form.querySelectorAll('fieldset[data-step]')),
+        current: 0,
+        key: this.STORAGE_PREFIX + (form.id || form.getAttribute('action'))
+      };
+
+      this.wizards.set(form, wizard);
+      form.querySelectorAll('[data-wizard-progress]').forEach(el => { el.hidden = false; });
+
+      const saved = this.load(wizard);
+      if (saved) {
+        this.restoreValues(form, saved.values);
+        wizard.current = Math.min(Math.max(parseInt(saved.step, 10) || 0, 0), wizard.steps.length - 1);
+      }
+
+      this.render(wizard);
+
+      form.addEventListener('click', (e) => {
+        if (e.target.closest('[data-wizard-back]')) {
+          this.go(wizard, wizard.current - 1);
+        } else if (e.target.closest('[data-wizard-next]')) {
+          this.advance(form);
+        }
+      });
+
+      form.addEventListener('input', () => this.save(wizard));
+      form.addEventListener('change', () => this.save(wizard));
+
+      // FormValidator resets the form after a successful submit
+      form.addEventListener('reset', () => {
+        this.clear(wizard);
+        wizard.current = 0;
+        this.render(wizard);
+      });
+    },
+
+    /**
+     * Called by FormValidator on submit. Before the last step it validates the
+     * current one and moves on; on the last step it sends the user back to the
+     * first earlier step that is invalid (e.g. restored from storage).
+     * Returns true when the submit was handled here.
+     */
+    async advance(form) {
+      const wizard = this.wizards.get(form);
+      if (!wizard) return false;
+
+      const last = wizard.steps.length - 1;
+
+      if (wizard.current < last) {
+        if (await this.validateStep(wizard.steps[wizard.current])) {
+          this.go(wizard, wizard.current + 1);
+        }
+        return true;
+      }
+
+      for (let index = 0; index < last; index++) {
+        if (!(await this.validateStep(wizard.steps[index]))) {
+          this.go(wizard, index, false);
+          this.focusInvalid(wizard.steps[index]);
+          return true;
+        }
+      }
+
+      return false;
+    },
+
+    async validateStep(step) {
+      const isValid = await FormValidator.validate(step);
+      if (!isValid) this.focusInvalid(step);
+      return isValid;
+    },
+
+    focusInvalid(step) {
+      const field = step.querySelector('.is-invalid');
+      if (field && !step.hidden) field.focus();
+    },
+
+    /**
+     * Show a step; focus moves to the status line so screen readers announce it
+     */
+    go(wizard, index, focus = true) {
+      wizard.current = Math.min(Math.max(index, 0), wizard.steps.length - 1);
+      this.render(wizard);
+      this.save(wizard);
+
+      const status = wizard.form.querySelector('[data-wizard-status]');
+      if (focus && status) status.focus();
+    },
+
+    render(wizard) {
+      const { form, steps, current } = wizard;
+      const last = current === steps.length - 1;
+      const step = steps[current];
+      const legend = step.querySelector('legend');
+      const status = form.querySelector('[data-wizard-status]');
+
+      steps.forEach((el, index) => { el.hidden = index !== current; });
+
+      form.querySelectorAll('[data-wizard-progress] > li').forEach((item, index) => {
+        item.classList.toggle('is-complete', index < current);
+        if (index === current) {
+          item.setAttribute('aria-current', 'step');
+        } else {
+          item.removeAttribute('aria-current');
+        }
+      });
+
+      form.querySelectorAll('[data-wizard-back]').forEach(btn => { btn.hidden = current === 0; });
+      form.querySelectorAll('[data-wizard-next]').forEach(btn => { btn.hidden = last; });
+      form.querySelectorAll('[type="submit"]').forEach(btn => { btn.hidden = !last; });
+
+      if (status) {
+        status.textContent = t('wizard.status', {
+          current: current + 1,
+          total: steps.length,
+          title: legend ? legend.textContent.trim() : ''
+        }, 'Step {current} of {total}: {title}');
+      }
+    },
+
+    /**
+     * Fields worth keeping: no files, passwords, hidden inputs or honeypots
+     */
+    isStored(field) {
+      return Boolean(field.name) &&
+        field.matches('input, select, textarea') &&
+        !['file', 'password', 'hidden'].includes(field.type) &&
+        !field.closest('.form-honeypot');
+    },
+
+    save(wizard) {
+      const values = {};
+
+      Array.from(wizard.form.elements).forEach(field => {
+        if (!this.isStored(field)) return;
+
+        if (field.type === 'checkbox' || field.type === 'radio') {
+          values[field.name] = values[field.name] || [];
+          if (field.checked) values[field.name].push(field.value);
+        } else {
+          values[field.name] = field.value;
+        }
+      });
+
+      try {
+        sessionStorage.setItem(wizard.key, JSON.stringify({ step: wizard.current, values }));
+      } catch (error) {
+        // Storage full or disabled: the wizard still works, it just won't survive a reload
+      }
+    },
+
+    load(wizard) {
+      try {
+        return JSON.parse(sessionStorage.getItem(wizard.key));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    clear(wizard) {
+      try {
+        sessionStorage.removeItem(wizard.key);
+      } catch (error) {
+        // Nothing stored
+      }
+    },
+
+    restoreValues(form, values = {}) {
+      Object.keys(values).forEach(name => {
+        const match = form.elements[name];
+        if (!match) return;
+
+        // Radio groups and repeated names come back as a list
+        const fields = match.tagName ? [match] : Array.from(match);
+
+        fields.forEach(field => {
+          if (!this.isStored(field)) return;
+
+          if (field.type === 'checkbox' || field.type === 'radio') {
+            field.checked = [].concat(values[name]).includes(field.value);
+          } else {
+            field.value = values[name];
+          }
+        });
+      });
+    }
+  };
+
+  // ============================================
+  // Newsletter
+  // ============================================
+  /**
+   * Double opt-in landing pages. The token from the emailed link (?token=…)
+   * is posted to the element's data-endpoint: confirm pages send it on load,
+   * unsubscribe pages when their form is submitted. Children with
+   * data-newsletter-state="ready error" are shown only in those states.
+   */
+  const Newsletter = {
+    init() {
+      document.querySelectorAll('[data-newsletter-action]').forEach(el => this.setup(el));
+    },
+
+    setup(el) {
+      const token = new URLSearchParams(window.location.search).get('token') || '';
+
+      if (!token) {
+        this.setState(el, 'invalid');
+        return;
+      }
+
+      if (el.tagName === 'FORM') {
+        el.addEventListener('submit', (e) => {
+          e.preventDefault();
+          this.send(el, token);
+        });
+        this.setState(el, 'ready');
+      } else {
+        this.send(el, token);
+      }
+    },
+
+    async send(el, token) {
+      const submitter = window.AMD && window.AMD.FormSubmitter;
+
+      this.setState(el, 'pending');
+
+      try {
+        if (!submitter) {
+          throw new Error('Form submission module is not loaded');
+        }
+
+        await submitter.send({
+          endpoint: submitter.getEndpoint(el),
+          transport: 'json',
+          data: { token }
+        });
+        this.setState(el, 'success');
+      } catch (error) {
+        // 404 / 410: unknown, used or expired token
+        this.setState(el, error.status === 404 || error.status === 410 ? 'invalid' : 'error');
+      }
+    },
+
+    setState(el, state) {
+      el.setAttribute('aria-busy', String(state === 'pending'));
+      el.querySelectorAll('[data-newsletter-state]').forEach(child => {
+        child.hidden = !child.dataset.newsletterState.split(' ').includes(state);
+      });
+    }
+  };
+
+  // ============================================
+  // Animations
+  // ============================================
+  /**
+   * Reveal-on-scroll presets. Classes drive the CSS in components.css:
+   *   data-animate="fade-up|fade-in|slide-start|zoom"   preset, fade-up when empty
+   *   data-animate-delay="200"                          ms before it starts
+   *   data-animate-stagger="100"                        reveal the children instead,
+   *                                                     each this many ms apart
+   *   data-animate-replay                               hide again on leaving the viewport
+   *
+   * Content only starts hidden once <html> has the js-animate class, so it
+   * stays visible without IntersectionObserver, with reduced motion and in
+   * print. A new preset only needs CSS for [data-animate="name"].
+   */
+  const Animations = {
+    DEFAULT_PRESET: 'fade-up',
+
+    init() {
+      this.reduced = window.matchMedia('(prefers-reduced-motion: reduce)');
+      if (!('IntersectionObserver' in window) || this.reduced.matches) return;
+
+      this.bound = new WeakSet();
+      this.observer = new IntersectionObserver(
+        (entries) => this.handleIntersection(entries),
+        {
+          root: null,
+          rootMargin: '0px 0px -50px 0px',
+          threshold: 0.1
+        }
+      );
+
+      document.documentElement.classList.add('js-animate');
+      this.observe(document);
+
+      // Lists rendered from content bring new children
+      document.addEventListener('amd:content-ready', () => this.observe(document));
+
+      this.reduced.addEventListener('change', () => {
+        if (this.reduced.matches) this.stop();
+      });
+    },
+
+    /**
+     * Start watching the [data-animate] elements under root
+     */
+    observe(root) {
+      if (!this.observer) return;
+
+      root.querySelectorAll('[data-animate]').forEach(el => {
+        if (el.hasAttribute('data-animate-stagger')) this.prepareGroup(el);
+
+        // Stagger children are revealed with their group
+        const grouped = el.parentElement && el.parentElement.hasAttribute('data-animate-stagger');
+        if (this.bound.has(el) || grouped) return;
+
+        this.bound.add(el);
+        this.setDelay(el, parseFloat(el.dataset.animateDelay) || 0);
+        this.observer.observe(el);
+      });
+    },
+
+    /**
+     * Give the children of a stagger group the group's preset and
+     * increasing delays
+     */
+    prepareGroup(group) {
+      const preset = group.dataset.animate || this.DEFAULT_PRESET;
+      const step = parseFloat(group.dataset.animateStagger) || 0;
+      const base = parseFloat(group.dataset.animateDelay) || 0;
+      const children = Array.from(group.children).filter(child => child.tagName !== 'TEMPLATE');
+
+      children.forEach((child, index) => {
+        if (!child.hasAttribute('data-animate')) child.setAttribute('data-animate', preset);
+        this.setDelay(child, base + index * step);
+        child.classList.toggle('is-visible', group.classList.contains('is-visible'));
+      });
+    },
+
+    setDelay(el, delay) {
+      if (delay) {
+        el.style.setProperty('--animate-delay', `${delay}ms`);
+      } else {
+        el.style.removeProperty('--animate-delay');
+      }
+    },
+
+    handleIntersection(entries) {
+      entries.forEach(entry => {
+        const el = entry.target;
+        const replay = el.hasAttribute('data-animate-replay');
+
+        if (entry.isIntersecting) {
+          this.setVisible(el, true);
+          if (!replay) this.observer.unobserve(el);
+        } else if (replay) {
+          this.setVisible(el, false);
+        }
+      });
+    },
+
+    setVisible(el, visible) {
+      el.classList.toggle('is-visible', visible);
+
+      if (el.hasAttribute('data-animate-stagger')) {
+        Array.from(el.children).forEach(child => child.classList.toggle('is-visible', visible));
+      }
+    },
+
+    /**
+     * Run an element's entrance again, e.g. for cards a filter brings back
+     */
+    play(el, preset = this.DEFAULT_PRESET) {
+      if (!this.observer) return;
+
+      if (!el.hasAttribute('data-animate')) el.setAttribute('data-animate', preset);
+      this.bound.add(el);
+
+      el.classList.remove('is-visible');
+      // Restart the transition from the hidden state
+      void el.offsetWidth;
+      el.classList.add('is-visible');
+    },
+
+    /**
+     * Show everything and stop animating (reduced motion switched on)
+     */
+    stop() {
+      if (!this.observer) return;
+
+      this.observer.disconnect();
+      this.observer = null;
+      document.documentElement.classList.remove('js-animate');
+    }
+  };
+
+  // ============================================
+  // Smooth Scroll
+  // ============================================
+  /**
+   * In-page links. scroll-margin-top keeps targets clear of the fixed header,
+   * and the root scroll-behavior decides between smooth and instant (reduced
+   * motion). Focus follows the link for keyboard and screen reader users.
+   */
+  const SmoothScroll = {
+    init() {
+      document.addEventListener('click', (e) => {
+        const anchor = e.target.closest('a[href^="#"]');
+        if (!anchor || e.defaultPrevented) return;
+
+        const href = anchor.getAttribute('href');
+        if (href === '#') return;
+
+        const target = document.getElementById(decodeURIComponent(href.slice(1)));
+        if (!target) return;
+
+        e.preventDefault();
+        this.scrollTo(target);
+        history.pushState(null, '', href);
+      });
+    },
+
+    scrollTo(target) {
+      target.scrollIntoView({ block: 'start' });
+
+      if (!target.matches('a[href], button, input, select, textarea, [tabindex]')) {
+        target.setAttribute('tabindex', '-1');
+      }
+      target.focus({ preventScroll: true });
+    }
+  };
+
+  // ============================================
+  // Lightbox (full-screen viewer for galleries)
+  // ============================================
+  const Lightbox = {
+    SWIPE_THRESHOLD: 50,
+    MAX_SCALE: 4,
+    DOUBLE_TAP_DELAY: 300,
+    HASH_PATTERN: /^#image-(\d+)$/,
+
+    /**
+     * Build the dialog once, on first use
+     */
+    create() {
+      if (this.el) return;
+
+      const arrow = '<svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><polyline points="15 18 9 12 15 6"></polyline></svg>';
+
+      this.el = document.createElement('div');
+      this.el.className = 'lightbox';
+      this.el.hidden = true;
+      this.el.setAttribute('role', 'dialog');
+      this.el.setAttribute('aria-modal', 'true');
+      this.el.innerHTML = `
+        <div class="lightbox__stage">
+          <img class="lightbox__image" alt="" draggable="false">
+        </div>
+        <p class="lightbox__caption"></p>
+        <p class="lightbox__counter" aria-live="polite"></p>
+        <button type="button" class="lightbox__btn lightbox__btn--close">&times;</button>
+        <button type="button" class="lightbox__btn lightbox__btn--prev">${arrow}</button>
+        <button type="button" class="lightbox__btn lightbox__btn--next">${arrow}</button>
+      `;
+
+      this.stage = this.el.querySelector('.lightbox__stage');
+      this.image = this.el.querySelector('.lightbox__image');
+      this.caption = this.el.querySelector('.lightbox__caption');
+      this.counter = this.el.querySelector('.lightbox__counter');
+
+      this.el.querySelector('.lightbox__btn--close').addEventListener('click', () => this.close());
+      this.el.querySelector('.lightbox__btn--prev').addEventListener('click', () => this.go(this.index - 1));
+      this.el.querySelector('.lightbox__btn--next').addEventListener('click', () => this.go(this.index + 1));
+
+      // Clicking the backdrop closes
+      this.el.addEventListener('click', (e) => {
+        if (e.target === this.el || e.target === this.stage) this.close();
+      });
+
+      this.el.addEventListener('keydown', (e) => this.onKeydown(e));
+      this.bindGestures();
+
+      // A deep link can open the viewer before the language content arrives
+      document.addEventListener('amd:content-ready', () => {
+        this.label();
+        if (this.isOpen()) this.go(this.index);
+      });
+
+      this.label();
+      document.body.appendChild(this.el);
+    },
+
+    label() {
+      this.el.setAttribute('aria-label', t('common.lightbox.label', {}, 'Image viewer'));
+
+      const labels = {
+        close: ['common.lightbox.close', 'Close'],
+        prev: ['common.lightbox.previous', 'Previous image'],
+        next: ['common.lightbox.next', 'Next image']
+      };
+
+      Object.keys(labels).forEach(name => {
+        const [key, fallback] = labels[name];
+        this.el.querySelector(`.lightbox__btn--${name}`).setAttribute('aria-label', t(key, {}, fallback));
+      });
+    },
+
+    /**
+     * Open with a list of { src, alt } starting at index; focus returns to
+     * opener (or the focused element) on close
+     */
+    open(items, index = 0, opener = document.activeElement) {
+      if (!items.length) return;
+
+      this.create();
+      this.items = items;
+      this.returnFocus = opener;
+      if (!this.isOpen()) ScrollLock.lock();
+      this.el.hidden = false;
+      this.el.classList.toggle('lightbox--single', items.length < 2);
+
+      this.go(index);
+      this.el.querySelector('.lightbox__btn--close').focus();
+    },
+
+    close() {
+      if (!this.isOpen()) return;
+
+      this.el.hidden = true;
+      ScrollLock.unlock();
+      this.setHash('');
+
+      if (this.returnFocus && this.returnFocus.focus) {
+        this.returnFocus.focus();
+      }
+    },
+
+    isOpen() {
+      return Boolean(this.el) && !this.el.hidden;
+    },
+
+    /**
+     * Show a slide, wrapping around at both ends
+     */
+    go(index) {
+      const total = this.items.length;
+      this.index = (index + total) % total;
+
+      const item = this.items[this.index];
+      this.resetZoom();
+      this.image.src = item.src;
+      this.image.alt = item.alt || '';
+      this.caption.textContent = item.alt || '';
+      this.counter.textContent = t(
+        'common.lightbox.counter',
+        { current: this.index + 1, total },
+        `${this.index + 1} / ${total}`
+      );
+
+      this.setHash(`#image-${this.index + 1}`);
+      this.preload();
+    },
+
+    /**
+     * Warm the cache for the neighbouring slides
+     */
+    preload() {
+      [this.index - 1, this.index + 1].forEach(i => {
+        const item = this.items[(i + this.items.length) % this.items.length];
+        if (item) new Image().src = item.src;
+      });
+    },
+
+    setHash(hash) {
+      const url = window.location.pathname + window.location.search + hash;
+      history.replaceState(history.state, '', url);
+    },
+
+    isRtl() {
+      return getComputedStyle(this.el).direction === 'rtl';
+    },
+
+    onKeydown(e) {
+      // Arrow keys follow the reading direction
+      const step = this.isRtl() ? -1 : 1;
+
+      switch (e.key) {
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.go(this.index + step);
+          break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.go(this.index - step);
+          break;
+        case 'Tab':
+          this.trapFocus(e);
+          break;
+      }
+    },
+
+    trapFocus(e) {
+      const focusable = Array.from(this.el.querySelectorAll('button'))
+        .filter(btn => btn.offsetParent !== null || btn === document.activeElement);
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    },
+
+    // ---------- Zoom & swipe ----------
+    resetZoom() {
+      this.scale = 1;
+      this.offset = { x: 0, y: 0 };
+      this.applyTransform();
+    },
+
+    applyTransform() {
+      this.image.style.transform = this.scale > 1
+        ? `translate(${this.offset.x}px, ${this.offset.y}px) scale(${this.scale})`
+        : '';
+      this.el.classList.toggle('lightbox--zoomed', this.scale > 1);
+    },
+
+    toggleZoom() {
+      this.scale = this.scale > 1 ? 1 : 2;
+      this.offset = { x: 0, y: 0 };
+      this.applyTransform();
+    },
+
+    bindGestures() {
+      let start = null;
+      let pinch = null;
+      let lastTap = 0;
+
+      const distance = touches => Math.hypot(
+        touches[0].clientX - touches[1].clientX,
+        touches[0].clientY - touches[1].clientY
+      );
+
+      this.image.addEventListener('dblclick', () => this.toggleZoom());
+
+      this.stage.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 2) {
+          pinch = { distance: distance(e.touches), scale: this.scale };
+          start = null;
+          return;
+        }
+
+        const touch = e.touches[0];
+        start = { x: touch.clientX, y: touch.clientY, offset: { ...this.offset } };
+      }, { passive: true });
+
+      this.stage.addEventListener('touchmove', (e) => {
+        if (pinch && e.touches.length === 2) {
+          e.preventDefault();
+          this.scale = Math.min(this.MAX_SCALE, Math.max(1, pinch.scale * distance(e.touches) / pinch.distance));
+          if (this.scale === 1) this.offset = { x: 0, y: 0 };
+          this.applyTransform();
+          return;
+        }
+
+        // One finger pans while zoomed
+        if (start && this.scale > 1) {
+          e.preventDefault();
+          const touch = e.touches[0];
+          this.offset = {
+            x: start.offset.x + touch.clientX - start.x,
+            y: start.offset.y + touch.clientY - start.y
+          };
+          this.applyTransform();
+        }
+      }, { passive: false });
+
+      this.stage.addEventListener('touchend', (e) => {
+        if (pinch) {
+          if (e.touches.length < 2) pinch = null;
+          return;
+        }
+        if (!start) return;
+
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - start.x;
+        const dy = touch.clientY - start.y;
+        start = null;
+
+        // Double tap zooms
+        const now = Date.now();
+        if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+          if (now - lastTap < this.DOUBLE_TAP_DELAY) {
+            this.toggleZoom();
+            lastTap = 0;
+          } else {
+            lastTap = now;
+          }
+          return;
+        }
+
+        // Horizontal swipe changes slide; swiping towards the start edge moves forward
+        if (this.scale === 1 && Math.abs(dx) > this.SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+          const forward = this.isRtl() ? dx > 0 : dx < 0;
+          this.go(this.index + (forward ? 1 : -1));
+        }
+      });
+    }
+  };
+
+  // ============================================
+  // Image Gallery (for project detail pages)
+  // ============================================
+  const ImageGallery = {
+    init() {
+      this.galleries = document.querySelectorAll('.gallery');
+
+      this.galleries.forEach(gallery => {
+        this.setupGallery(gallery);
+      });
+
+      if (!this.galleries.length) return;
+
+      // #image-3 opens the third slide of the page's first gallery
+      this.openFromHash();
+      window.addEventListener('hashchange', () => this.openFromHash());
+    },
+
+    setupGallery(gallery) {
+      const main = gallery.querySelector('.gallery__main');
+
+      if (!main) return;
+
+      main.setAttribute('tabindex', '0');
+      main.setAttribute('role', 'button');
+      main.setAttribute('aria-label', t('common.lightbox.open', {}, 'Open full-screen gallery'));
+
+      // Delegated: thumbnails may be re-rendered from content after init
+      gallery.addEventListener('click', (e) => {
+        const thumb = e.target.closest('.gallery__thumb');
+        if (thumb) this.select(gallery, thumb);
+        if (e.target === main) this.open(gallery);
+      });
+
+      // Keyboard support
+      gallery.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+
+        const thumb = e.target.closest('.gallery__thumb');
+        if (thumb) {
+          e.preventDefault();
+          this.select(gallery, thumb);
+        } else if (e.target === main) {
+          e.preventDefault();
+          this.open(gallery);
+        }
+      });
+
+      this.markActive(gallery);
+      document.addEventListener('amd:content-ready', () => this.markActive(gallery));
+    },
+
+    select(gallery, thumb) {
+      const main = gallery.querySelector('.gallery__main');
+
+      // Update main image
+      main.src = thumb.dataset.src || thumb.src;
+      main.alt = thumb.alt;
+
+      // Update active state
+      gallery.querySelectorAll('.gallery__thumb').forEach(t => {
+        t.classList.toggle('is-active', t === thumb);
+        t.setAttribute('aria-pressed', String(t === thumb));
+      });
+    },
+
+    /**
+     * Slides from the thumbnails (data-full may point to a larger render)
+     */
+    getItems(gallery) {
+      const thumbs = Array.from(gallery.querySelectorAll('.gallery__thumb'));
+      const main = gallery.querySelector('.gallery__main');
+      const source = thumbs.length ? thumbs : [main];
+
+      return source.map(img => ({
+        src: img.dataset.full || img.dataset.src || img.src,
+        alt: img.alt
+      }));
+    },
+
+    open(gallery, index) {
+      const thumbs = Array.from(gallery.querySelectorAll('.gallery__thumb'));
+      const active = thumbs.findIndex(thumb => thumb.classList.contains('is-active'));
+      const items = this.getItems(gallery);
+      const start = index === undefined ? Math.max(active, 0) : index;
+
+      Lightbox.open(items, start, gallery.querySelector('.gallery__main'));
+      track('gallery_view', { image: start + 1, total: items.length });
+    },
+
+    openFromHash() {
+      const match = window.location.hash.match(Lightbox.HASH_PATTERN);
+      if (!match) return;
+
+      const gallery = this.galleries[0];
+      const index = parseInt(match[1], 10) - 1;
+
+      if (index >= 0 && index < this.getItems(gallery).length) {
+        this.open(gallery, index);
+      }
+    },
+
+    /**
+     * Flag the thumbnail matching the main image
+     */
+    markActive(gallery) {
+      const main = gallery.querySelector('.gallery__main');
+      const thumbs = Array.from(gallery.querySelectorAll('.gallery__thumb'));
+      const current = thumbs.find(t => (t.dataset.src || t.src) === main.src) || thumbs[0];
+
+      thumbs.forEach(t => {
+        t.classList.toggle('is-active', t === current);
+        t.setAttribute('aria-pressed', String(t === current));
+      });
+    }
+  };
+
+  // ============================================
+  // Counter Animation
+  // ============================================
+  /**
+   * Counts [data-counter] up to its value once it scrolls into view,
+   * formatted with AMD.Formatter.number for the page language:
+   *   data-counter="500000"           target value
+   *   data-counter-from="0"           start value
+   *   data-decimals="1"               fraction digits
+   *   data-notation="compact"         500K, ٥٠٠ ألف
+   *   data-currency="EGP"             currency style
+   *   data-prefix / data-prefix-key   text before the number
+   *   data-suffix / data-suffix-key   text after it; keys get { count } for plural forms
+   *   data-easing="ease-out"          one of EASINGS
+   *   data-duration="2000"            ms
+   *
+   * Screen readers get the final value from the start in an .sr-only copy
+   * that is written once; the ticking digits are aria-hidden, so a live
+   * region only ever announces the final value. Reduced motion skips the count.
+   */
+  const CounterAnimation = {
+    EASINGS: {
+      linear: p => p,
+      'ease-in': p => p * p * p,
+      'ease-out': p => 1 - Math.pow(1 - p, 3),
+      'ease-in-out': p => (p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2)
+    },
+    DEFAULT_EASING: 'ease-out',
+    DEFAULT_DURATION: 2000,
+
+    // Value each counter currently shows
+    values: new WeakMap(),
+
+    init() {
+      this.counters = Array.from(document.querySelectorAll('[data-counter]'));
+      if (!this.counters.length) return;
+
+      const reduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      const animate = !reduced && 'IntersectionObserver' in window;
+
+      this.counters.forEach(el => {
+        const { from, target } = this.getOptions(el);
+        this.render(el, animate ? from : target);
+      });
+
+      // Hydration rewrites the text; render again with the translated affixes
+      document.addEventListener('amd:content-ready', () => {
+        this.counters.forEach(el => this.render(el, this.values.get(el)));
+      });
+
+      if (!animate) return;
+
+      const observer = new IntersectionObserver(
+        (entries) => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              this.animate(entry.target);
+              observer.unobserve(entry.target);
+            }
+          });
+        },
+        { threshold: 0.5 }
+      );
+
+      this.counters.forEach(el => observer.observe(el));
+    },
+
+    getOptions(el) {
+      const data = el.dataset;
+      const number = (value, fallback) => {
+        const parsed = parseFloat(toLatinDigits(value || ''));
+        return isNaN(parsed) ? fallback : parsed;
+      };
+
+      return {
+        target: number(data.counter, 0),
+        from: number(data.counterFrom, 0),
+        duration: number(data.duration, this.DEFAULT_DURATION),
+        easing: this.EASINGS[data.easing] || this.EASINGS[this.DEFAULT_EASING]
+      };
+    },
+
+    /**
+     * Intl.NumberFormat options from the data attributes
+     */
+    getFormat(el) {
+      const data = el.dataset;
+      const decimals = parseInt(data.decimals, 10);
+      const format = {};
+
+      if (data.currency) {
+        format.style = 'currency';
+        format.currency = data.currency;
+      }
+
+      if (data.notation === 'compact') {
+        format.notation = 'compact';
+      } else if (isNaN(decimals) && !data.currency) {
+        // Whole numbers while counting
+        format.maximumFractionDigits = 0;
+      }
+
+      if (!isNaN(decimals)) {
+        format.minimumFractionDigits = decimals;
+        format.maximumFractionDigits = decimals;
+      }
+
+      return format;
+    },
+
+    format(el, value, target) {
+      const Formatter = window.AMD && window.AMD.Formatter;
+      const number = Formatter ? Formatter.number(value, this.getFormat(el)) : String(Math.round(value));
+
+      return this.affix(el, 'prefix', target) + number + this.affix(el, 'suffix', target);
+    },
+
+    /**
+     * data-prefix-key / data-suffix-key translate the affix, falling back to
+     * data-prefix / data-suffix
+     */
+    affix(el, name, count) {
+      const key = el.dataset[`${name}Key`];
+      const text = el.dataset[name] || '';
+      return key ? t(key, { count }, text) : text;
+    },
+
+    render(el, value) {
+      const { target } = this.getOptions(el);
+      let display = el.querySelector('[data-counter-display]');
+      let label = el.querySelector('.sr-only');
+
+      if (!display || !label) {
+        display = document.createElement('span');
+        display.setAttribute('aria-hidden', 'true');
+        display.setAttribute('data-counter-display', '');
+        label = document.createElement('span');
+        label.className = 'sr-only';
+        el.replaceChildren(display, label);
+      }
+
+      this.values.set(el, value);
+      display.textContent = this.format(el, value, target);
+
+      // Only touch the announced text when it actually changes
+      const final = this.format(el, target, target);
+      if (label.textContent !== final) label.textContent = final;
+    },
+
+    animate(el) {
+      const { target, from, duration, easing } = this.getOptions(el);
+      const startTime = performance.now();
+
+      const update = (currentTime) => {
+        const progress = Math.min((currentTime - startTime) / duration, 1);
+
+        this.render(el, progress < 1 ? from + (target - from) * easing(progress) : target);
+
+        if (progress < 1) {
+          requestAnimationFrame(update);
+        }
+      };
+
+      requestAnimationFrame(update);
+    }
+  };
+
+  // ============================================
+  // Project Filter
+  // ============================================
+  const ProjectFilter = {
+    // Query string keys; category buttons write "type"
+    PARAMS: ['type', 'city', 'status', 'beds', 'minPrice', 'maxPrice', 'q', 'sort'],
+    NUMERIC_PARAMS: ['beds', 'minPrice', 'maxPrice'],
+
+    init() {
+      this.grid = document.querySelector('[data-project-grid]');
+
+      if (!this.grid) return;
+
+      this.form = document.querySelector('[data-project-filter]');
+      this.filters = document.querySelectorAll('[data-filter]');
+      this.count = document.querySelector('[data-project-count]');
+      this.empty = document.querySelector('[data-project-empty]');
+      this.state = this.readState(window.location.search);
+
+      this.bindEvents();
+      this.render();
+
+      // Cards and select options are re-rendered from content after load
+      document.addEventListener('amd:content-ready', () => this.render());
+    },
+
+    bindEvents() {
+      this.filters.forEach(btn => {
+        btn.addEventListener('click', () => {
+          const filter = btn.getAttribute('data-filter');
+          this.update({ type: filter === 'all' ? '' : filter });
+        });
+      });
+
+      document.querySelectorAll('[data-filter-reset]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          this.state = {};
+          this.render();
+          this.writeState();
+          this.track();
+        });
+      });
+
+      if (!this.form) return;
+
+      this.form.addEventListener('input', (e) => {
+        if (this.PARAMS.includes(e.target.name)) {
+          this.update({ [e.target.name]: e.target.value.trim() });
+        }
+      });
+
+      this.form.addEventListener('submit', (e) => e.preventDefault());
+    },
+
+    update(changes) {
+      Object.assign(this.state, changes);
+      this.apply(true);
+      this.updateActiveButton();
+      this.writeState();
+      this.track();
+    },
+
+    /**
+     * Report the filter selection once the visitor pauses (search is typed)
+     */
+    track() {
+      clearTimeout(this.trackTimer);
+      this.trackTimer = setTimeout(() => {
+        track('project_filter', {
+          ...this.state,
+          results: this.grid.querySelectorAll('[data-category]:not([hidden])').length
+        });
+      }, 1000);
+    },
+
+    /**
+     * Read the filter state from a query string
+     */
+    readState(search) {
+      const params = new URLSearchParams(search);
+      const state = {};
+
+      this.PARAMS.forEach(key => {
+        const value = (params.get(key) || '').trim();
+        if (!value) return;
+
+        // "?maxPrice=٨٠٠٠٠٠٠" selects the same option as "?maxPrice=8000000"
+        state[key] = this.NUMERIC_PARAMS.includes(key) ? toLatinDigits(value) : value;
+      });
+
+      return state;
+    },
+
+    /**
+     * Mirror the state in the URL so filtered views can be shared
+     */
+    writeState() {
+      const params = new URLSearchParams(window.location.search);
+
+      this.PARAMS.forEach(key => {
+        if (this.state[key]) {
+          params.set(key, this.state[key]);
+        } else {
+          params.delete(key);
+        }
+      });
+
+      const query = params.toString();
+      const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+      history.replaceState(history.state, '', url);
+    },
+
+    render() {
+      this.syncControls();
+      this.updateActiveButton();
+      this.apply();
+    },
+
+    /**
+     * Show the state in the form controls
+     */
+    syncControls() {
+      if (!this.form) return;
+
+      this.PARAMS.forEach(key => {
+        const field = this.form.elements[key];
+        if (!field) return;
+
+        const value = this.state[key] || '';
+
+        // Keep shared URLs working for values that are not in the list
+        if (field.tagName === 'SELECT' && value &&
+          !Array.from(field.options).some(option => option.value === value)) {
+          const number = this.toNumber(value);
+          const label = isNaN(number) || !window.AMD.Formatter ? value : window.AMD.Formatter.number(number);
+          field.add(new Option(label, value));
+        }
+
+        field.value = value;
+      });
+    },
+
+    /**
+     * Filter, sort and count the project cards; animate brings in the cards
+     * the change revealed
+     */
+    apply(animate = false) {
+      const cards = Array.from(this.grid.querySelectorAll('[data-category]'));
+      const anchor = this.grid.querySelector(':scope > template');
+      let visible = 0;
+
+      this.sort(cards, this.state.sort).forEach(card => {
+        const match = this.matches(card, this.state);
+        const revealed = match && card.hidden;
+        card.hidden = !match;
+        if (match) visible++;
+        this.grid.insertBefore(card, anchor);
+        if (animate && revealed) Animations.play(card);
+      });
+
+      if (this.count) {
+        this.count.textContent = t('projects_page.results', { count: visible }, `${visible}`);
+      }
+
+      if (this.empty) {
+        this.empty.hidden = visible > 0;
+      }
+    },
+
+    matches(card, state) {
+      const data = card.dataset;
+      const price = parseFloat(data.price);
+      const minPrice = this.toNumber(state.minPrice);
+      const maxPrice = this.toNumber(state.maxPrice);
+      const beds = this.toNumber(state.beds);
+      const bedrooms = (data.bedrooms || '').split(',').filter(Boolean).map(Number);
+
+      if (state.type && data.category !== state.type) return false;
+      if (state.city && data.city !== state.city) return false;
+      if (state.status && data.status !== state.status) return false;
+      if (!isNaN(beds) && !bedrooms.some(count => count >= beds)) return false;
+
+      // Projects without a published price only show when no price range is set
+      if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+        if (isNaN(price) || price < minPrice || price > maxPrice) return false;
+      }
+
+      if (state.q && !this.normalize(data.search).includes(this.normalize(state.q))) return false;
+
+      return true;
+    },
+
+    /**
+     * Sort by "price-asc", "delivery-desc", ...; unknown values go last
+     */
+    sort(cards, sort = '') {
+      const [field, direction] = sort.split('-');
+      const valueOf = card => {
+        if (field === 'price') return parseFloat(card.dataset.price);
+        if (field === 'delivery') return Date.parse(card.dataset.delivery);
+        return NaN;
+      };
+
+      return cards.slice().sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+
+        if (isNaN(valueA) || isNaN(valueB)) {
+          if (!isNaN(valueA)) return -1;
+          if (!isNaN(valueB)) return 1;
+          return a.dataset.order - b.dataset.order;
+        }
+
+        return direction === 'desc' ? valueB - valueA : valueA - valueB;
+      });
+    },
+
+    /**
+     * Parse a number that may use Arabic-Indic digits
+     */
+    toNumber(value) {
+      if (value === undefined || value === '') return NaN;
+      return parseFloat(toLatinDigits(value));
+    },
+
+    /**
+     * Case-, accent- and diacritic-insensitive form for search
+     */
+    normalize(str) {
+      return toLatinDigits(str || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+        .replace(/\u0649/g, '\u064a')
+        .replace(/\u0629/g, '\u0647');
+    },
+
+    updateActiveButton() {
+      const type = this.state.type || 'all';
+
+      this.filters.forEach(btn => {
+        const active = btn.getAttribute('data-filter') === type;
+        btn.classList.toggle('btn--primary', active);
+        btn.classList.toggle('btn--outline', !active);
+        btn.setAttribute('aria-pressed', String(active));
+      });
+    }
+  };
+
+  // ============================================
+  // News List
+  // ============================================
+  /**
+   * Category and tag filters plus pagination for the news listing.
+   * State lives in the query string (?category=…&tag=…&page=2).
+   */
+  const NewsList = {
+    PARAMS: ['category', 'tag', 'page'],
+
+    init() {
+      this.list = document.querySelector('[data-news-list]');
+
+      if (!this.list) return;
+
+      this.pageSize = parseInt(this.list.dataset.pageSize, 10) || 6;
+      this.filter = document.querySelector('[data-news-filter]');
+      this.pagination = document.querySelector('[data-news-pagination]');
+      this.count = document.querySelector('[data-news-count]');
+      this.empty = document.querySelector('[data-news-empty]');
+      this.reset = document.querySelector('[data-news-reset]');
+      this.state = this.readState(window.location.search);
+
+      this.bindEvents();
+      this.render();
+
+      // Cards, buttons and tags are re-rendered from content after load
+      document.addEventListener('amd:content-ready', () => this.render());
+    },
+
+    bindEvents() {
+      if (this.filter) {
+        this.filter.addEventListener('click', (e) => {
+          const category = e.target.closest('[data-news-category]');
+          const tag = e.target.closest('[data-news-tag]');
+
+          if (category) {
+            this.update({ category: category.dataset.newsCategory, page: '' });
+          } else if (tag) {
+            e.preventDefault();
+            const value = tag.dataset.newsTag;
+            this.update({ tag: this.state.tag === value ? '' : value, page: '' });
+          }
+        });
+      }
+
+      if (this.reset) {
+        this.reset.addEventListener('click', () => this.update({ category: '', tag: '', page: '' }));
+      }
+
+      if (this.pagination) {
+        this.pagination.addEventListener('click', (e) => {
+          const btn = e.target.closest('[data-page]');
+          if (!btn || btn.disabled) return;
+
+          this.update({ page: btn.dataset.page === '1' ? '' : btn.dataset.page });
+          this.list.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+      }
+    },
+
+    update(changes) {
+      Object.assign(this.state, changes);
+      this.render();
+      this.writeState();
+    },
+
+    readState(search) {
+      const params = new URLSearchParams(search);
+      const state = {};
+
+      this.PARAMS.forEach(key => {
+        const value = (params.get(key) || '').trim();
+        if (value) state[key] = value;
+      });
+
+      return state;
+    },
+
+    writeState() {
+      const params = new URLSearchParams(window.location.search);
+
+      this.PARAMS.forEach(key => {
+        if (this.state[key]) {
+          params.set(key, this.state[key]);
+        } else {
+          params.delete(key);
+        }
+      });
+
+      const query = params.toString();
+      const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+      history.replaceState(history.state, '', url);
+    },
+
+    render() {
+      const cards = this.sort(Array.from(this.list.querySelectorAll('[data-date]')));
+      const anchor = this.list.querySelector(':scope > template');
+      const matches = cards.filter(card => this.matches(card));
+      const pages = Math.max(1, Math.ceil(matches.length / this.pageSize));
+      const page = Math.min(Math.max(parseInt(this.state.page, 10) || 1, 1), pages);
+      const start = (page - 1) * this.pageSize;
+      const shown = matches.slice(start, start + this.pageSize);
+
+      cards.forEach(card => {
+        card.hidden = !shown.includes(card);
+        this.list.insertBefore(card, anchor);
+      });
+
+      this.updateControls();
+      this.renderPagination(page, pages);
+
+      if (this.count) {
+        this.count.textContent = t('news.results', { count: matches.length }, `${matches.length}`);
+      }
+
+      if (this.empty) this.empty.hidden = matches.length > 0;
+      if (this.reset) this.reset.hidden = !this.state.category && !this.state.tag;
+    },
+
+    matches(card) {
+      const tags = (card.dataset.tags || '').split(',');
+
+      if (this.state.category && card.dataset.category !== this.state.category) return false;
+      if (this.state.tag && !tags.includes(this.state.tag)) return false;
+
+      return true;
+    },
+
+    /**
+     * Newest first (ISO dates sort as strings)
+     */
+    sort(cards) {
+      return cards.slice().sort((a, b) => b.dataset.date.localeCompare(a.dataset.date));
+    },
+
+    updateControls() {
+      if (!this.filter) return;
+
+      const category = this.state.category || '';
+
+      this.filter.querySelectorAll('[data-news-category]').forEach(btn => {
+        const active = btn.dataset.newsCategory === category;
+        btn.classList.toggle('btn--primary', active);
+        btn.classList.toggle('btn--outline', !active);
+        btn.setAttribute('aria-pressed', String(active));
+      });
+
+      this.filter.querySelectorAll('[data-news-tag]').forEach(tag => {
+        const active = tag.dataset.newsTag === this.state.tag;
+        tag.classList.toggle('tag--secondary', !active);
+        if (active) {
+          tag.setAttribute('aria-current', 'true');
+        } else {
+          tag.removeAttribute('aria-current');
+        }
+      });
+    },
+
+    /**
+     * Previous / numbered / next buttons; hidden when everything fits on one page
+     */
+    renderPagination(page, pages) {
+      if (!this.pagination) return;
+
+      this.pagination.hidden = pages < 2;
+      this.pagination.innerHTML = '';
+
+      if (pages < 2) return;
+
+      const Formatter = window.AMD.Formatter;
+      const button = (target, label, text) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'pagination__btn';
+        btn.dataset.page = String(target);
+        btn.setAttribute('aria-label', label);
+        btn.textContent = text;
+        return btn;
+      };
+
+      const prev = button(page - 1, t('news.pagination.previous', {}, 'Previous'), '‹');
+      prev.disabled = page === 1;
+      prev.classList.add('pagination__btn--prev');
+      this.pagination.appendChild(prev);
+
+      for (let number = 1; number <= pages; number++) {
+        const text = Formatter ? Formatter.number(number) : String(number);
+        const btn = button(number, t('news.pagination.page', { page: number }, `Page ${number}`), text);
+        if (number === page) {
+          btn.classList.add('pagination__btn--active');
+          btn.setAttribute('aria-current', 'page');
+        }
+        this.pagination.appendChild(btn);
       }
+
+      const next = button(page + 1, t('news.pagination.next', {}, 'Next'), '›');
+      next.disabled = page === pages;
+      next.classList.add('pagination__btn--next');
+      this.pagination.appendChild(next);
     }
   };
 
   // ============================================
-  // Scroll Animations
+  // Payment Calculator
   // ============================================
-  const ScrollAnimations = {
+  /**
+   * Installment / mortgage calculator. Embed templates/partials/calculator.html
+   * inside any element with data-calculator; data-price, data-down and
+   * data-years preset the inputs and data-name names the CSV export.
+   */
+  const PaymentCalculator = {
+    PERIODS_PER_YEAR: { monthly: 12, quarterly: 4 },
+
     init() {
-      if (!('IntersectionObserver' in window)) return;
+      this.widgets = Array.from(document.querySelectorAll('[data-calculator]'));
 
-      this.observer = new IntersectionObserver(
-        (entries) => this.handleIntersection(entries),
-        {
-          root: null,
-          rootMargin: '0px 0px -50px 0px',
-          threshold: 0.1
-        }
-      );
+      this.widgets.forEach(widget => this.setup(widget));
 
-      document.querySelectorAll('[data-animate]').forEach(el => {
-        el.style.opacity = '0';
-        el.style.transform = 'translateY(20px)';
-        this.observer.observe(el);
+      if (!this.widgets.length) return;
+
+      // Labels and currency follow the language once its content has loaded
+      document.addEventListener('amd:content-ready', () => {
+        this.widgets.forEach(widget => this.update(widget));
+      });
+
+      window.addEventListener('afterprint', () => {
+        document.body.classList.remove('is-printing-calculator');
+        this.widgets.forEach(widget => widget.classList.remove('is-printing'));
       });
     },
 
-    handleIntersection(entries) {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const el = entry.target;
-          const delay = el.dataset.animateDelay || 0;
+    setup(widget) {
+      const form = widget.querySelector('[data-calculator-form]');
+      if (!form) return;
+
+      const presets = { price: widget.dataset.price, down: widget.dataset.down, years: widget.dataset.years };
+      Object.keys(presets).forEach(name => {
+        const value = parseFloat(presets[name]);
+        if (!isNaN(value) && value > 0) form.elements[name].value = value;
+      });
 
-          setTimeout(() => {
-            el.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-            el.style.opacity = '1';
-            el.style.transform = 'translateY(0)';
-          }, delay);
+      form.addEventListener('input', () => this.update(widget));
+      form.addEventListener('submit', (e) => e.preventDefault());
 
-          this.observer.unobserve(el);
-        }
+      widget.querySelector('[data-calculator-export]').addEventListener('click', () => this.exportCsv(widget));
+      widget.querySelector('[data-calculator-print]').addEventListener('click', () => this.print(widget));
+
+      this.update(widget);
+    },
+
+    /**
+     * Read the inputs; null while the price is missing
+     */
+    getInput(form) {
+      const number = name => parseFloat(form.elements[name].value);
+      const price = number('price');
+
+      if (isNaN(price) || price <= 0) return null;
+
+      return {
+        price,
+        down: Math.min(100, Math.max(0, number('down') || 0)),
+        years: Math.min(30, Math.max(1, Math.round(number('years')) || 1)),
+        frequency: form.elements.frequency.value in this.PERIODS_PER_YEAR ? form.elements.frequency.value : 'monthly',
+        rate: form.elements.mortgage.checked ? Math.max(0, number('rate') || 0) : 0
+      };
+    },
+
+    /**
+     * Build the schedule: equal installments, amortized when there is interest
+     */
+    calculate({ price, down, years, frequency, rate }, start = new Date()) {
+      const perYear = this.PERIODS_PER_YEAR[frequency];
+      const count = years * perYear;
+      const downPayment = price * down / 100;
+      const financed = price - downPayment;
+      const periodRate = rate / 100 / perYear;
+      const installment = periodRate
+        ? financed * periodRate / (1 - Math.pow(1 + periodRate, -count))
+        : financed / count;
+
+      const rows = [];
+      let balance = financed;
+
+      for (let i = 1; i <= count; i++) {
+        const interest = balance * periodRate;
+        // The last installment absorbs rounding so the balance ends at zero
+        const principal = i === count ? balance : installment - interest;
+        balance -= principal;
+
+        rows.push({
+          number: i,
+          due: new Date(start.getFullYear(), start.getMonth() + i * (12 / perYear), 1),
+          payment: principal + interest,
+          principal,
+          interest,
+          balance: Math.max(0, balance)
+        });
+      }
+
+      const totalInterest = rows.reduce((sum, row) => sum + row.interest, 0);
+
+      return {
+        frequency,
+        downPayment,
+        financed,
+        installment,
+        totalInterest,
+        total: price + totalInterest,
+        rows
+      };
+    },
+
+    update(widget) {
+      const form = widget.querySelector('[data-calculator-form]');
+      if (!form) return;
+
+      const input = this.getInput(form);
+      const result = widget.querySelector('[data-calculator-result]');
+
+      widget.querySelector('[data-calculator-rate]').hidden = !form.elements.mortgage.checked;
+      widget.querySelector('[data-calculator-empty]').hidden = Boolean(input);
+      result.hidden = !input;
+
+      if (!input) {
+        widget.schedule = null;
+        return;
+      }
+
+      const schedule = this.calculate(input);
+      const money = value => this.formatCurrency(value);
+      const output = name => widget.querySelector(`[data-calculator-output="${name}"]`);
+
+      widget.schedule = schedule;
+
+      output('down').textContent = money(schedule.downPayment);
+      output('financed').textContent = money(schedule.financed);
+      output('installment-label').textContent = t(
+        `calculator.summary.installment_${schedule.frequency}`,
+        {},
+        schedule.frequency === 'quarterly' ? 'Quarterly installment' : 'Monthly installment'
+      );
+      output('installment').textContent = money(schedule.installment);
+      output('interest').textContent = money(schedule.totalInterest);
+      output('total').textContent = money(schedule.total);
+
+      const body = widget.querySelector('[data-calculator-schedule]');
+      body.innerHTML = '';
+
+      schedule.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        [
+          this.formatNumber(row.number),
+          this.formatDue(row.due),
+          money(row.payment),
+          money(row.principal),
+          money(row.interest),
+          money(row.balance)
+        ].forEach((value, index) => {
+          const cell = document.createElement(index === 0 ? 'th' : 'td');
+          if (index === 0) cell.scope = 'row';
+          cell.textContent = value;
+          tr.appendChild(cell);
+        });
+        body.appendChild(tr);
       });
+    },
+
+    formatCurrency(value) {
+      const Formatter = window.AMD && window.AMD.Formatter;
+      return Formatter ? Formatter.currency(value, 'EGP') : `${Math.round(value)} EGP`;
+    },
+
+    formatNumber(value) {
+      const Formatter = window.AMD && window.AMD.Formatter;
+      return Formatter ? Formatter.number(value) : String(value);
+    },
+
+    formatDue(date) {
+      const Formatter = window.AMD && window.AMD.Formatter;
+      return Formatter
+        ? Formatter.date(date, { day: undefined, month: 'short' })
+        : date.toISOString().slice(0, 7);
+    },
+
+    /**
+     * Download the schedule with localized headers and plain numbers
+     */
+    exportCsv(widget) {
+      const schedule = widget.schedule;
+      if (!schedule) return;
+
+      const headers = Array.from(widget.querySelectorAll('thead th')).map(th => th.textContent.trim());
+      const pad = n => String(n).padStart(2, '0');
+      const lines = [headers].concat(schedule.rows.map(row => [
+        row.number,
+        `${row.due.getFullYear()}-${pad(row.due.getMonth() + 1)}`,
+        row.payment.toFixed(2),
+        row.principal.toFixed(2),
+        row.interest.toFixed(2),
+        row.balance.toFixed(2)
+      ]));
+
+      const csv = lines
+        .map(line => line.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\r\n');
+
+      // BOM so spreadsheet apps read Arabic headers as UTF-8
+      const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `payment-schedule${widget.dataset.name ? `-${widget.dataset.name}` : ''}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    /**
+     * Print only this calculator
+     */
+    print(widget) {
+      document.body.classList.add('is-printing-calculator');
+      widget.classList.add('is-printing');
+      window.print();
     }
   };
 
   // ============================================
-  // Smooth Scroll
+  // Job Board
   // ============================================
-  const SmoothScroll = {
+  /**
+   * Hides postings past their data-closes date (shows data-closed notices
+   * instead) and filters the careers list by department and city.
+   */
+  const JobBoard = {
     init() {
-      document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', (e) => {
-          const href = anchor.getAttribute('href');
-          if (href === '#') return;
+      this.list = document.querySelector('[data-job-list]');
+      this.form = document.querySelector('[data-job-filter]');
+      this.empty = document.querySelector('[data-job-empty]');
 
-          const target = document.querySelector(href);
-          if (target) {
-            e.preventDefault();
-            const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
-            const targetPosition = target.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
+      if (!this.list && !document.querySelector('[data-closes], [data-closed]')) return;
 
-            window.scrollTo({
-              top: targetPosition,
-              behavior: 'smooth'
-            });
-          }
-        });
+      if (this.form) {
+        this.form.addEventListener('change', () => this.apply());
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+      }
+
+      this.apply();
+
+      // Cards are re-rendered from content after load
+      document.addEventListener('amd:content-ready', () => this.apply());
+    },
+
+    /**
+     * Closing dates are inclusive: a posting closing today stays open until midnight
+     */
+    isClosed(date) {
+      if (!date) return false;
+      const end = new Date(`${date}T23:59:59`);
+      return !isNaN(end) && end < new Date();
+    },
+
+    apply() {
+      document.querySelectorAll('[data-closed]').forEach(el => {
+        el.hidden = !this.isClosed(el.dataset.closed);
+      });
+
+      const filters = this.form ? {
+        department: this.form.elements.department ? this.form.elements.department.value : '',
+        city: this.form.elements.city ? this.form.elements.city.value : ''
+      } : {};
+
+      let visible = 0;
+
+      document.querySelectorAll('[data-closes]').forEach(el => {
+        const closed = this.isClosed(el.dataset.closes);
+        const inList = this.list && this.list.contains(el);
+        const matches = !inList || Object.keys(filters).every(key => !filters[key] || el.dataset[key] === filters[key]);
+
+        el.hidden = closed || !matches;
+        if (inList && !el.hidden) visible++;
       });
+
+      if (this.empty) this.empty.hidden = visible > 0;
     }
   };
 
   // ============================================
-  // Image Gallery (for project detail pages)
+  // Site Visit Booking
   // ============================================
-  const ImageGallery = {
+  /**
+   * Calendar and time slots for form[data-booking]. Open slots come from the
+   * data-availability JSON ({ timezone, duration, days: { "2026-10-20": ["10:00", …] } })
+   * for the [data-booking-project] value; weekends and content holidays are
+   * always closed. A confirmed booking can be saved as an .ics file.
+   */
+  const Booking = {
+    TIMEZONE: 'Africa/Cairo',
+    // Friday and Saturday (Date#getUTCDay)
+    WEEKEND: [5, 6],
+    // Egyptian calendars start the week on Saturday
+    WEEK_START: 6,
+    DAYS_AHEAD: 60,
+    DURATION: 60,
+
     init() {
-      document.querySelectorAll('.gallery').forEach(gallery => {
-        this.setupGallery(gallery);
+      this.widgets = Array.from(document.querySelectorAll('form[data-booking]'));
+
+      if (!this.widgets.length) return;
+
+      this.widgets.forEach(form => this.setup(form));
+
+      // Labels, holidays and the location list are re-rendered from content after load
+      document.addEventListener('amd:content-ready', () => {
+        this.widgets.forEach(form => {
+          this.render(form);
+          this.renderConfirmation(form);
+        });
       });
     },
 
-    setupGallery(gallery) {
-      const main = gallery.querySelector('.gallery__main');
-      const thumbs = gallery.querySelectorAll('.gallery__thumb');
+    setup(form) {
+      const today = this.today();
 
-      if (!main || !thumbs.length) return;
+      const min = this.addDays(today, 1);
 
-      thumbs.forEach((thumb, index) => {
-        thumb.addEventListener('click', () => {
-          // Update main image
-          const src = thumb.dataset.src || thumb.src;
-          const alt = thumb.alt;
-          main.src = src;
-          main.alt = alt;
+      form.booking = {
+        min,
+        max: this.addDays(today, parseInt(form.dataset.daysAhead, 10) || this.DAYS_AHEAD),
+        month: min.slice(0, 7),
+        days: null,
+        date: '',
+        focus: '',
+        confirmed: null
+      };
 
-          // Update active state
-          thumbs.forEach(t => t.classList.remove('is-active'));
-          thumb.classList.add('is-active');
-        });
+      FormValidator.setSchema(form, {
+        time: [{ rule: 'required', message: 'booking.slot_required' }]
+      });
 
-        // Keyboard support
-        thumb.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            thumb.click();
-          }
-        });
+      form.querySelectorAll('[data-booking-nav]').forEach(btn => {
+        btn.addEventListener('click', () => this.moveMonth(form, parseInt(btn.dataset.bookingNav, 10)));
       });
-    }
-  };
 
-  // ============================================
-  // Counter Animation
-  // ============================================
-  const CounterAnimation = {
-    init() {
-      if (!('IntersectionObserver' in window)) return;
+      const grid = form.querySelector('[data-booking-grid]');
+      grid.addEventListener('click', (e) => {
+        const day = e.target.closest('[data-date]');
+        if (day && day.getAttribute('aria-disabled') !== 'true') this.selectDate(form, day.dataset.date);
+      });
+      grid.addEventListener('keydown', (e) => this.onKeydown(form, e));
 
-      const observer = new IntersectionObserver(
-        (entries) => {
-          entries.forEach(entry => {
-            if (entry.isIntersecting) {
-              this.animate(entry.target);
-              observer.unobserve(entry.target);
-            }
-          });
-        },
-        { threshold: 0.5 }
-      );
+      form.querySelector('[data-booking-slots]').addEventListener('click', (e) => {
+        const slot = e.target.closest('[data-time]');
+        if (slot) this.selectTime(form, slot.dataset.time);
+      });
+
+      const project = form.querySelector('[data-booking-project]');
+      if (project.tagName === 'SELECT') {
+        project.addEventListener('change', () => this.load(form));
+      }
+
+      form.querySelector('[data-booking-ics]').addEventListener('click', () => this.downloadIcs(form));
 
-      document.querySelectorAll('[data-counter]').forEach(el => {
-        observer.observe(el);
+      form.addEventListener('amd:form-sent', (e) => {
+        if (e.detail.status !== 'sent') return;
+
+        const { data, result } = e.detail;
+        form.booking.confirmed = {
+          id: (result && result.id) || '',
+          project: data.project,
+          date: data.date,
+          time: data.time,
+          duration: (result && result.duration) || form.booking.duration || this.DURATION
+        };
+        this.renderConfirmation(form);
+      });
+
+      // The slot was taken meanwhile: show what is still free
+      form.addEventListener('amd:form-error', (e) => {
+        if (e.detail.status === 409) this.load(form);
+      });
+
+      // FormValidator resets the form after a successful booking. Hidden inputs
+      // keep their values through a reset, so the slot is cleared here.
+      form.addEventListener('reset', () => {
+        form.booking.date = '';
+        form.querySelector('[data-booking-date]').value = '';
+        form.querySelector('[data-booking-time]').value = '';
+        setTimeout(() => this.load(form), 0);
       });
+
+      this.load(form);
     },
 
-    animate(el) {
-      const target = parseInt(el.dataset.counter, 10);
-      const duration = parseInt(el.dataset.duration, 10) || 2000;
-      const suffix = el.dataset.suffix || '';
-      const start = 0;
-      const startTime = performance.now();
+    /**
+     * Fetch open slots for the selected project within the bookable range
+     */
+    async load(form) {
+      const state = form.booking;
+      const project = form.querySelector('[data-booking-project]').value;
+      const url = new URL(form.dataset.availability, window.location.href);
 
-      const update = (currentTime) => {
-        const elapsed = currentTime - startTime;
-        const progress = Math.min(elapsed / duration, 1);
+      url.searchParams.set('project', project);
+      url.searchParams.set('from', state.min);
+      url.searchParams.set('to', state.max);
 
-        // Easing function
-        const eased = 1 - Math.pow(1 - progress, 3);
-        const current = Math.floor(start + (target - start) * eased);
+      state.days = null;
+      state.error = false;
+      this.render(form);
 
-        el.textContent = current.toLocaleString() + suffix;
+      try {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-        if (progress < 1) {
-          requestAnimationFrame(update);
-        }
+        const availability = await response.json();
+        if (project !== form.querySelector('[data-booking-project]').value) return;
+
+        state.days = availability.days || {};
+        state.timezone = availability.timezone || this.TIMEZONE;
+        state.duration = availability.duration || this.DURATION;
+
+        // Keep the chosen day if it is still open, otherwise start at the first open one
+        if (!this.getSlots(form, state.date).length) state.date = '';
+        const first = Object.keys(state.days).sort().find(date => this.getSlots(form, date).length);
+        if (!state.date && first && state.month < first.slice(0, 7)) state.month = first.slice(0, 7);
+      } catch (error) {
+        console.error('Availability error:', error);
+        state.days = {};
+        state.error = true;
+      }
+
+      this.render(form);
+    },
+
+    /**
+     * Slots still open on a date; weekends, holidays and days outside the range have none
+     */
+    getSlots(form, date) {
+      const state = form.booking;
+      if (!date || !state.days || date < state.min || date > state.max) return [];
+      if (this.isWeekend(date) || this.getHoliday(date)) return [];
+      return (state.days[date] || []).slice().sort();
+    },
+
+    isWeekend(date) {
+      return this.WEEKEND.includes(this.toDate(date).getUTCDay());
+    },
+
+    getHoliday(date) {
+      const Content = window.AMD && window.AMD.Content;
+      const holidays = Content && Content.dictionaries[Content.getLang()] ? Content.get('booking.holidays') : null;
+      return (Array.isArray(holidays) && holidays.find(holiday => holiday.date === date)) || null;
+    },
+
+    moveMonth(form, delta) {
+      const state = form.booking;
+      const month = this.addMonths(state.month, delta);
+
+      if (month < state.min.slice(0, 7) || month > state.max.slice(0, 7)) return;
+
+      state.month = month;
+      this.render(form);
+    },
+
+    selectDate(form, date) {
+      const state = form.booking;
+
+      state.date = date;
+      state.focus = date;
+      form.querySelector('[data-booking-date]').value = date;
+      form.querySelector('[data-booking-time]').value = '';
+      this.render(form);
+      form.querySelector(`[data-booking-grid] [data-date="${date}"]`).focus();
+    },
+
+    selectTime(form, time) {
+      const field = form.querySelector('[data-booking-time]');
+
+      field.value = time;
+      form.querySelectorAll('[data-booking-slots] [data-time]').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.dataset.time === time));
+      });
+      FormValidator.validateField(field);
+    },
+
+    /**
+     * Arrow keys move between days (mirrored in RTL), PageUp/PageDown between months
+     */
+    onKeydown(form, e) {
+      const state = form.booking;
+      const current = e.target.closest('[data-date]');
+      if (!current) return;
+
+      const step = getComputedStyle(form).direction === 'rtl' ? -1 : 1;
+      const moves = {
+        ArrowRight: () => this.addDays(current.dataset.date, step),
+        ArrowLeft: () => this.addDays(current.dataset.date, -step),
+        ArrowDown: () => this.addDays(current.dataset.date, 7),
+        ArrowUp: () => this.addDays(current.dataset.date, -7),
+        PageDown: () => this.addMonths(current.dataset.date, 1),
+        PageUp: () => this.addMonths(current.dataset.date, -1)
       };
 
-      requestAnimationFrame(update);
+      if (!moves[e.key]) return;
+      e.preventDefault();
+
+      const next = moves[e.key]();
+      if (next < state.min || next > state.max) return;
+
+      state.focus = next;
+      state.month = next.slice(0, 7);
+      this.render(form);
+      form.querySelector(`[data-booking-grid] [data-date="${next}"]`).focus();
+    },
+
+    render(form) {
+      const state = form.booking;
+      const month = this.toDate(`${state.month}-01`);
+
+      form.querySelector('[data-booking-month]').textContent = this.formatDate(month, { day: undefined });
+
+      const prev = form.querySelector('[data-booking-nav="-1"]');
+      const next = form.querySelector('[data-booking-nav="1"]');
+      prev.disabled = state.month <= state.min.slice(0, 7);
+      next.disabled = state.month >= state.max.slice(0, 7);
+
+      this.renderGrid(form);
+      this.renderSlots(form);
+    },
+
+    renderGrid(form) {
+      const state = form.booking;
+      const grid = form.querySelector('[data-booking-grid]');
+      const first = this.toDate(`${state.month}-01`);
+      const offset = (first.getUTCDay() - this.WEEK_START + 7) % 7;
+      const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+      // Roving tabindex: one focusable day per month
+      const focus = [state.focus, state.date].find(date => date && date.startsWith(state.month)) ||
+        (state.min.startsWith(state.month) ? state.min : `${state.month}-01`);
+
+      grid.innerHTML = '';
+
+      const head = grid.createTHead().insertRow();
+      for (let i = 0; i < 7; i++) {
+        // 7 January 2024 was a Sunday
+        const weekday = new Date(Date.UTC(2024, 0, 7 + ((this.WEEK_START + i) % 7)));
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = this.formatDate(weekday, { weekday: 'narrow', year: undefined, month: undefined, day: undefined });
+        th.setAttribute('abbr', this.formatDate(weekday, { weekday: 'long', year: undefined, month: undefined, day: undefined }));
+        head.appendChild(th);
+      }
+
+      const body = grid.createTBody();
+      let row = null;
+
+      for (let cell = 0; cell < Math.ceil((offset + daysInMonth) / 7) * 7; cell++) {
+        if (cell % 7 === 0) row = body.insertRow();
+
+        const td = row.insertCell();
+        const day = cell - offset + 1;
+        if (day < 1 || day > daysInMonth) continue;
+
+        const date = `${state.month}-${String(day).padStart(2, '0')}`;
+        const status = this.getDayStatus(form, date);
+        const btn = document.createElement('button');
+
+        td.setAttribute('role', 'gridcell');
+        btn.type = 'button';
+        btn.className = `booking__day booking__day--${status.type}`;
+        btn.dataset.date = date;
+        btn.tabIndex = date === focus ? 0 : -1;
+        btn.textContent = this.formatDate(this.toDate(date), { year: undefined, month: undefined });
+        btn.setAttribute('aria-label', t('booking.days.label', {
+          date: this.formatDate(this.toDate(date), { weekday: 'long' }),
+          status: status.label
+        }, '{date}, {status}'));
+        btn.setAttribute('aria-pressed', String(date === state.date));
+        if (status.type !== 'available') btn.setAttribute('aria-disabled', 'true');
+        if (status.holiday) btn.title = status.holiday.name;
+
+        td.appendChild(btn);
+      }
+    },
+
+    getDayStatus(form, date) {
+      const state = form.booking;
+      const holiday = this.getHoliday(date);
+
+      if (date < state.min || date > state.max || !state.days) {
+        return { type: 'unavailable', label: t('booking.days.unavailable', {}, 'Not available') };
+      }
+      if (this.isWeekend(date)) {
+        return { type: 'closed', label: t('booking.days.weekend', {}, 'Weekend, closed') };
+      }
+      if (holiday) {
+        return { type: 'closed', holiday, label: t('booking.days.holiday', { name: holiday.name }, 'Public holiday: {name}') };
+      }
+
+      const count = this.getSlots(form, date).length;
+      return count
+        ? { type: 'available', label: t('booking.days.available', { count }, '{count} times available') }
+        : { type: 'full', label: t('booking.days.full', {}, 'Fully booked') };
+    },
+
+    renderSlots(form) {
+      const state = form.booking;
+      const container = form.querySelector('[data-booking-slots]');
+      const status = form.querySelector('[data-booking-status]');
+      const selected = form.querySelector('[data-booking-time]').value;
+      const slots = this.getSlots(form, state.date);
+
+      container.innerHTML = '';
+
+      slots.forEach(time => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'booking__slot';
+        btn.dataset.time = time;
+        btn.textContent = this.formatTime(time);
+        btn.setAttribute('aria-pressed', String(time === selected));
+        container.appendChild(btn);
+      });
+
+      if (!state.days) {
+        status.textContent = t('booking.loading', {}, 'Loading available times…');
+      } else if (state.error) {
+        status.textContent = t('booking.load_error', {}, 'Available times could not be loaded.');
+      } else if (!state.date) {
+        status.textContent = t('booking.pick_date', {}, 'Select a date to see the available times.');
+      } else {
+        status.textContent = t('booking.slots', {
+          count: slots.length,
+          date: this.formatDate(this.toDate(state.date), { weekday: 'long', year: undefined })
+        }, '{count} times available on {date}');
+      }
+    },
+
+    renderConfirmation(form) {
+      const booking = form.booking.confirmed;
+      const panel = form.querySelector('[data-booking-confirmation]');
+
+      panel.hidden = !booking;
+      if (!booking) return;
+
+      form.querySelector('[data-booking-summary]').textContent = t('booking.confirmation.summary', {
+        location: this.getLocation(booking.project).name,
+        date: this.formatDate(this.toDate(booking.date), { weekday: 'long' }),
+        time: this.formatTime(booking.time)
+      }, '{location} on {date} at {time}');
+
+      const reference = form.querySelector('[data-booking-reference]');
+      reference.hidden = !booking.id;
+      reference.textContent = t('booking.confirmation.reference', { id: booking.id }, 'Booking reference: {id}');
+    },
+
+    /**
+     * Name and address of a project (or the sales center) from content
+     */
+    getLocation(id) {
+      const Content = window.AMD && window.AMD.Content;
+      const loaded = Content && Content.dictionaries[Content.getLang()];
+
+      if (id === 'sales-center') {
+        return {
+          name: t('booking.sales_center.name', {}, 'AMD Sales Center'),
+          address: t('booking.sales_center.address', {}, '')
+        };
+      }
+
+      const project = loaded && (Content.get('projects') || []).find(item => item.id === id);
+      // Locations are displayed with a pin emoji
+      return project
+        ? { name: project.name, address: String(project.location || '').replace(/^[^\p{L}\p{N}]+/u, '') }
+        : { name: id, address: '' };
+    },
+
+    /**
+     * Build an iCalendar file (RFC 5545) for the confirmed visit
+     */
+    buildIcs(booking, timezone) {
+      const location = this.getLocation(booking.project);
+      const start = this.zonedToUtc(booking.date, booking.time, timezone);
+      const end = new Date(start.getTime() + booking.duration * 60000);
+      const stamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+      const escape = value => String(value).replace(/\\/g, '\\\\').replace(/([;,])/g, '\\$1').replace(/\r?\n/g, '\\n');
+      const id = booking.id || `${booking.project}-${booking.date}-${booking.time.replace(':', '')}`;
+
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AMD//Site Visit Booking//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${id}@amd.eg`,
+        `DTSTAMP:${stamp(new Date())}`,
+        `DTSTART:${stamp(start)}`,
+        `DTEND:${stamp(end)}`,
+        `SUMMARY:${escape(t('booking.ics.summary', { location: location.name }, 'Site visit: {location}'))}`,
+        `LOCATION:${escape([location.name, location.address].filter(Boolean).join(', '))}`,
+        `DESCRIPTION:${escape(t('booking.ics.description', { id }, 'AMD site visit, booking reference {id}.'))}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ];
+
+      return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Lines longer than 75 octets continue on the next line after a space
+     */
+    foldLine(line) {
+      const encoder = new TextEncoder();
+      const parts = [];
+      let current = '';
+
+      Array.from(line).forEach(char => {
+        const limit = parts.length ? 74 : 75;
+        if (encoder.encode(current + char).length > limit) {
+          parts.push(current);
+          current = '';
+        }
+        current += char;
+      });
+      parts.push(current);
+
+      return parts.join('\r\n ');
+    },
+
+    downloadIcs(form) {
+      const booking = form.booking.confirmed;
+      if (!booking) return;
+
+      const blob = new Blob([this.buildIcs(booking, form.booking.timezone || this.TIMEZONE)], { type: 'text/calendar;charset=utf-8' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `amd-visit-${booking.date}.ics`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    /**
+     * Wall-clock date and time in timezone → UTC Date (handles DST)
+     */
+    zonedToUtc(date, time, timezone) {
+      const [year, month, day] = date.split('-').map(Number);
+      const [hour, minute] = time.split(':').map(Number);
+      const wall = Date.UTC(year, month - 1, day, hour, minute);
+      let utc = wall - this.getOffset(wall, timezone);
+
+      const offset = this.getOffset(utc, timezone);
+      if (wall - offset !== utc) utc = wall - offset;
+
+      return new Date(utc);
+    },
+
+    getOffset(timestamp, timezone) {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+      }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => { parts[type] = parseInt(value, 10); });
+
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) -
+        Math.floor(timestamp / 60000) * 60000;
+    },
+
+    /**
+     * Today's date in the office timezone as YYYY-MM-DD
+     */
+    today() {
+      const offset = this.getOffset(Date.now(), this.TIMEZONE);
+      return new Date(Date.now() + offset).toISOString().slice(0, 10);
+    },
+
+    toDate(date) {
+      const [year, month, day] = date.split('-').map(Number);
+      return new Date(Date.UTC(year, month - 1, day));
+    },
+
+    addDays(date, days) {
+      const result = this.toDate(date);
+      result.setUTCDate(result.getUTCDate() + days);
+      return result.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Works on YYYY-MM and YYYY-MM-DD (day clamped to the target month)
+     */
+    addMonths(value, months) {
+      const [year, month, day] = value.split('-').map(Number);
+      const target = new Date(Date.UTC(year, month - 1 + months, 1));
+
+      if (!day) return target.toISOString().slice(0, 7);
+
+      const last = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+      target.setUTCDate(Math.min(day, last));
+      return target.toISOString().slice(0, 10);
+    },
+
+    // Calendar dates are UTC midnights, so format them in UTC
+    formatDate(date, options = {}) {
+      const Formatter = window.AMD && window.AMD.Formatter;
+      return Formatter
+        ? Formatter.date(date, { timeZone: 'UTC', ...options })
+        : date.toISOString().slice(0, 10);
+    },
+
+    formatTime(time) {
+      const Formatter = window.AMD && window.AMD.Formatter;
+      return Formatter
+        ? Formatter.date(`1970-01-01T${time}:00Z`, { timeZone: 'UTC', hour: 'numeric', minute: '2-digit', year: undefined, month: undefined, day: undefined })
+        : time;
     }
   };
 
   // ============================================
-  // Project Filter
+  // Offline Support & Updates
   // ============================================
-  const ProjectFilter = {
+  /**
+   * Registers the service worker (sw.js at the site root) and shows the
+   * [data-update-prompt] once a new version has installed; "Refresh" lets
+   * the waiting worker take over and reloads. On the offline page,
+   * [data-offline-retry] and reconnecting reload the requested URL.
+   */
+  const Pwa = {
+    // Resolved while main.js runs: …/assets/js/main.js → site root
+    SCRIPT_URL: document.currentScript ? new URL('../../sw.js', document.currentScript.src).href : null,
+
     init() {
-      this.filters = document.querySelectorAll('[data-filter]');
-      this.projects = document.querySelectorAll('[data-category]');
+      this.prompt = document.querySelector('[data-update-prompt]');
+
+      document.addEventListener('click', (e) => {
+        if (e.target.closest('[data-offline-retry]')) {
+          window.location.reload();
+        } else if (e.target.closest('[data-update-reload]')) {
+          this.update();
+        } else if (e.target.closest('[data-update-dismiss]')) {
+          this.hidePrompt();
+        }
+      });
 
-      if (!this.filters.length || !this.projects.length) return;
+      if (document.querySelector('[data-offline]')) {
+        window.addEventListener('online', () => window.location.reload());
+      }
 
-      this.bindEvents();
+      // Service workers need a secure context (https or localhost)
+      if (!('serviceWorker' in navigator) || !this.SCRIPT_URL) return;
+
+      navigator.serviceWorker.register(this.SCRIPT_URL)
+        .then(registration => this.watch(registration))
+        .catch(error => console.warn('Service worker registration failed:', error));
+
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // Only reload for an update the visitor asked for, not the first install
+        if (!this.updating || this.reloading) return;
+        this.reloading = true;
+        window.location.reload();
+      });
     },
 
-    bindEvents() {
-      this.filters.forEach(btn => {
-        btn.addEventListener('click', () => {
-          const filter = btn.getAttribute('data-filter');
-          this.filterProjects(filter);
-          this.updateActiveButton(btn);
+    watch(registration) {
+      this.registration = registration;
+
+      // Without a controller an installed worker is the first one, not an update
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.showPrompt();
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            this.showPrompt();
+          }
         });
       });
     },
 
-    filterProjects(filter) {
-      this.projects.forEach(project => {
-        const category = project.getAttribute('data-category');
+    update() {
+      const waiting = this.registration && this.registration.waiting;
 
-        if (filter === 'all' || filter === category) {
-          project.style.display = '';
-          // Trigger animation if available
-          project.style.opacity = '0';
-          project.style.transform = 'translateY(20px)';
-          setTimeout(() => {
-            project.style.opacity = '1';
-            project.style.transform = 'translateY(0)';
-          }, 50);
-        } else {
-          project.style.display = 'none';
-        }
-      });
+      this.hidePrompt();
+
+      if (!waiting) {
+        window.location.reload();
+        return;
+      }
+
+      this.updating = true;
+      waiting.postMessage({ type: 'SKIP_WAITING' });
     },
 
-    updateActiveButton(activeBtn) {
-      this.filters.forEach(btn => {
-        btn.classList.remove('btn--primary');
-        btn.classList.add('btn--outline');
-      });
+    showPrompt() {
+      if (this.prompt) this.prompt.hidden = false;
+    },
 
-      activeBtn.classList.remove('btn--outline');
-      activeBtn.classList.add('btn--primary');
+    hidePrompt() {
+      if (this.prompt) this.prompt.hidden = true;
     }
   };
 
@@ -568,12 +3736,22 @@
     ThemeManager.init();
     MobileNav.init();
     HeaderScroll.init();
+    ScrollSpy.init();
+    ReadingProgress.init();
+    Phone.init();
     FormValidator.init();
-    ScrollAnimations.init();
+    FormWizard.init();
+    Newsletter.init();
+    Animations.init();
     SmoothScroll.init();
     ImageGallery.init();
     CounterAnimation.init();
     ProjectFilter.init();
+    NewsList.init();
+    PaymentCalculator.init();
+    JobBoard.init();
+    Booking.init();
+    Pwa.init();
   }
 
   // Run on DOM ready
@@ -584,10 +3762,12 @@
   }
 
   // Expose for external use if needed
-  window.AMD = {
+  window.AMD = Object.assign(window.AMD || {}, {
     ThemeManager,
     MobileNav,
-    FormValidator
-  };
+    FormValidator,
+    FormWizard,
+    Phone
+  });
 
 })();
@@ -0,0 +1,806 @@
+#!/usr/bin/env node
+/**
+ * AMD Static Build
+ * Pre-renders every page in templates/ for each language from content/<lang>.json
+ * and regenerates sitemap.xml, the RSS/Atom news feeds and web app manifest of every
+ * language, and the service worker (sw.js) with its precache list.
+ *
+ * Usage:
+ *   node scripts/build.js              build all pages
+ *   node scripts/build.js --check      validate templates and content without writing
+ *   node scripts/build.js --date=2024-12-04   lastmod date for the sitemap (default: date of the
+ *                                             last commit to content/ or templates/)
+ *
+ * Template syntax (shared with assets/js/content.js):
+ *   data-i18n="key"                 element content from the content JSON (escaped)
+ *   data-i18n-html                  ...unescaped, for trusted markup such as <br>
+ *   data-i18n-attr="attr:key; ..."  attribute values from the content JSON
+ *   <template data-i18n-list="key"> rendered once per array item, before the template
+ *   data-i18n-if="key"              element removed when the value is empty
+ *   data-i18n-format="date"         format data-i18n / data-i18n-item values for the locale
+ *   <!-- include: name -->          templates/partials/<name>.html
+ *   {{token}}                       build variables (base, root, lang, dir, page, nav_links, ...)
+ *   {{item.field}}                  field of the current item on collection pages (escaped, null → '')
+ *   {list.field}                    in list item attributes: the field of every entry, comma-joined
+ *
+ * Collection pages render once per item of a content array, e.g. templates/project.html
+ * for every entry of "projects", written to projects/<id>.html.
+ *
+ * Elements carrying data-i18n must not contain a nested element of the same tag.
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+const CONTENT_DIR = path.join(ROOT, 'content');
+
+const SITE_URL = 'https://amd.eg';
+
+// Language registry shared with assets/js/i18n.js; adding a language there
+// (plus its content file) is enough to build a new /<code>/ tree
+const REGISTRY = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, 'languages.json'), 'utf8'));
+const LANGUAGES = REGISTRY.languages;
+const DEFAULT_LANG = REGISTRY.rootLang;
+
+const PAGES = [
+    { name: 'index', changefreq: 'weekly', priority: '1.0' },
+    { name: 'about', changefreq: 'monthly', priority: '0.8' },
+    { name: 'projects', changefreq: 'weekly', priority: '0.9' },
+    { name: 'services', changefreq: 'monthly', priority: '0.7' },
+    { name: 'news', feed: true, changefreq: 'weekly', priority: '0.6' },
+    { name: 'careers', changefreq: 'monthly', priority: '0.5' },
+    { name: 'contact', changefreq: 'monthly', priority: '0.8' },
+    { name: 'privacy', changefreq: 'yearly', priority: '0.3' },
+    { name: '404', sitemap: false },
+    { name: 'offline', sitemap: false, precache: true },
+    { name: 'newsletter-confirm', nav: 'news', sitemap: false },
+    { name: 'newsletter-unsubscribe', nav: 'news', sitemap: false },
+    {
+        name: 'project',
+        collection: 'projects',
+        path: 'projects/{id}.html',
+        nav: 'projects',
+        changefreq: 'monthly',
+        priority: '0.7'
+    },
+    {
+        name: 'job',
+        collection: 'jobs',
+        path: 'careers/{id}.html',
+        nav: 'careers',
+        changefreq: 'weekly',
+        priority: '0.4'
+    },
+    {
+        name: 'article',
+        collection: 'articles',
+        path: 'news/{id}.html',
+        nav: 'news',
+        feed: true,
+        changefreq: 'monthly',
+        priority: '0.5'
+    }
+];
+
+// Site navigation, rendered into both the desktop and the mobile menu
+const NAV = [
+    { page: 'index', label: 'nav.home' },
+    { page: 'about', label: 'nav.about' },
+    { page: 'projects', label: 'nav.projects' },
+    { page: 'services', label: 'nav.services' },
+    { page: 'news', label: 'nav.news' },
+    { page: 'careers', label: 'nav.careers' },
+    { page: 'contact', label: 'nav.contact' }
+];
+
+// News feeds, written to <lang>/news/ and linked from pages with "feed: true"
+const FEEDS = {
+    rss: { file: 'news/rss.xml', type: 'application/rss+xml' },
+    atom: { file: 'news/atom.xml', type: 'application/atom+xml' }
+};
+
+// Cached by the service worker on install, besides the page shells of every
+// language: whole folders (relative to the site root) and single files
+const PRECACHE = {
+    dirs: ['assets/css', 'assets/js', 'content'],
+    files: ['assets/images/logo.png', 'assets/images/favicon.png', 'assets/images/hero-bg.jpg']
+};
+
+const MANIFEST_FILE = 'manifest.webmanifest';
+
+// ============================================
+// Helpers
+// ============================================
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Resolve a dotted key; a non-numeric part applied to a list plucks that
+ * field from every entry ("tags.value" → ['a', 'b'])
+ */
+function resolve(obj, key) {
+    return key.split('.').reduce((value, part) => {
+        if (value === undefined || value === null) return undefined;
+        if (Array.isArray(value) && !/^\d+$/.test(part)) {
+            return value.map(entry => (entry !== null && typeof entry === 'object' ? entry[part] : undefined));
+        }
+        return value[part];
+    }, obj);
+}
+
+function parsePairs(str) {
+    return str.split(';')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(pair => pair.length === 2 && pair[0] && pair[1]);
+}
+
+function getAttr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+function setAttr(tag, name, value) {
+    const attr = `${name}="${escapeHtml(value)}"`;
+    const pattern = new RegExp(`(\\s)${name}="[^"]*"`);
+
+    if (pattern.test(tag)) {
+        return tag.replace(pattern, `$1${attr}`);
+    }
+    return tag.replace(/\s*(\/?)>$/, ` ${attr}$1>`);
+}
+
+/**
+ * Directory prefix of a page relative to the site root
+ */
+function langDir(lang) {
+    return lang === DEFAULT_LANG ? '' : `${lang}/`;
+}
+
+/**
+ * Absolute URL of an output file ('index.html' maps to its folder)
+ */
+function pageUrl(file, lang) {
+    return `${SITE_URL}/${langDir(lang)}${file.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * Output files of a page: one for plain pages, one per item for collection
+ * pages. Items are matched across languages by id.
+ */
+function pageTargets(page, content, defaultContent) {
+    if (!page.collection) {
+        return [{ file: `${page.name}.html` }];
+    }
+
+    const items = content[page.collection] || [];
+
+    return (defaultContent[page.collection] || []).map(({ id }) => {
+        const index = items.findIndex(item => item.id === id);
+        return {
+            file: page.path.replace('{id}', id),
+            id,
+            key: index === -1 ? null : `${page.collection}.${index}`,
+            item: items[index]
+        };
+    });
+}
+
+function loadContent(language) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, language.content), 'utf8'));
+}
+
+// ============================================
+// Template Rendering
+// ============================================
+const Renderer = {
+    /**
+     * Inline <!-- include: name --> partials, keeping the directive's indentation
+     */
+    includePartials(html, seen = []) {
+        return html.replace(/^([ \t]*)<!-- include: ([\w-]+) -->[ \t]*$/gm, (match, indent, name) => {
+            if (seen.includes(name)) {
+                throw new Error(`Circular include: ${[...seen, name].join(' -> ')}`);
+            }
+
+            const file = path.join(PARTIALS_DIR, `${name}.html`);
+            const partial = this.includePartials(fs.readFileSync(file, 'utf8').replace(/\s+$/, ''), [...seen, name]);
+            return partial.split('\n').map(line => (line ? indent + line : line)).join('\n');
+        });
+    },
+
+    /**
+     * Replace {{token}} build variables
+     */
+    replaceTokens(html, tokens, errors) {
+        const valueOf = name => {
+            const value = resolve(tokens, name);
+
+            // Item fields may be null (e.g. projects without a published price)
+            if (value === null && name.startsWith('item.')) return '';
+            if (value === undefined || value === null || typeof value === 'object') {
+                errors.push(`Unknown token {{${name}}}`);
+                return `{{${name}}}`;
+            }
+            return name.startsWith('item.') ? escapeHtml(value) : value;
+        };
+
+        return html.split('\n').reduce((lines, line) => {
+            const own = line.match(/^([ \t]*)\{\{([\w.]+)\}\}\s*$/);
+
+            // A token on its own line may expand to several indented lines, or none
+            if (own) {
+                const value = String(valueOf(own[2]));
+                if (value) lines.push(...value.split('\n').map(part => own[1] + part));
+                return lines;
+            }
+
+            lines.push(line.replace(/\{\{([\w.]+)\}\}/g, (match, name) => valueOf(name)));
+            return lines;
+        }, []).join('\n');
+    },
+
+    /**
+     * Look up a key, recording an error when the language lacks it
+     */
+    lookup(ctx, key) {
+        const value = resolve(ctx.content, key);
+        if (value === undefined || value === null) {
+            ctx.errors.push(`Missing key "${key}"`);
+            return undefined;
+        }
+        return value;
+    },
+
+    /**
+     * Content paths are relative to the site root, not the current page
+     */
+    resolveUrl(attr, value, ctx) {
+        if ((attr === 'src' || attr === 'href') && !/^([a-z]+:|\/|#|\.)/i.test(value)) {
+            return ctx.base + value;
+        }
+        return value;
+    },
+
+    renderLists(html, ctx) {
+        return html.replace(
+            /^([ \t]*)(<template\b[^>]*\sdata-i18n-list="([^"]+)"[^>]*>)([\s\S]*?)<\/template>/gm,
+            (match, indent, openTag, key, body) => {
+                const items = this.lookup(ctx, key);
+                if (items === undefined) return match;
+
+                if (!Array.isArray(items)) {
+                    ctx.errors.push(`Key "${key}" is not a list`);
+                    return match;
+                }
+
+                const limit = parseInt(getAttr(openTag, 'data-i18n-limit'), 10);
+                const list = isNaN(limit) ? items : items.slice(0, limit);
+                const itemTemplate = this.dedent(body);
+
+                const rendered = list.map((item, index) => {
+                    // Lists of strings expose the string as {value}
+                    const data = item !== null && typeof item === 'object' ? { ...item, index } : { value: item, index };
+                    const itemHtml = this.renderItem(itemTemplate, key, data, ctx);
+                    return itemHtml.split('\n').map(line => (line ? indent + line : line)).join('\n');
+                });
+
+                return [...rendered, match].join('\n');
+            }
+        );
+    },
+
+    /**
+     * Strip the common indentation of a <template> body
+     */
+    dedent(body) {
+        const lines = body.replace(/^\s*\n/, '').replace(/\s+$/, '').split('\n');
+        const indents = lines.filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+        const min = Math.min(...indents);
+        return lines.map(line => line.slice(min)).join('\n');
+    },
+
+    renderItem(template, key, data, ctx) {
+        let html = template;
+
+        // Mark the root element so the client can replace server renders
+        html = html.replace(/^<(\w+)([^>]*)>/, `<$1$2 data-i18n-rendered="${key}">`);
+
+        // {field} placeholders in attribute values
+        html = html.replace(/(\s)([\w-:]+)="([^"]*\{[\w.]+\}[^"]*)"/g, (match, space, attr, value) => {
+            const interpolated = value.replace(/\{([\w.]+)\}/g, (m, field) => {
+                const fieldValue = resolve(data, field);
+                if (fieldValue === undefined) {
+                    ctx.errors.push(`Missing field "${field}" in ${key}[${data.index}]`);
+                    return m;
+                }
+                return fieldValue === null ? '' : fieldValue;
+            });
+            return `${space}${attr}="${escapeHtml(this.resolveUrl(attr, interpolated, ctx))}"`;
+        });
+
+        html = html.replace(
+            /<(\w+)(\b[^>]*\sdata-i18n-item="([^"]+)"[^>]*)>[\s\S]*?<\/\1>/g,
+            (match, tag, attrs, field) => {
+                const value = resolve(data, field);
+                if (value === undefined) {
+                    ctx.errors.push(`Missing field "${field}" in ${key}[${data.index}]`);
+                    return match;
+                }
+                return `<${tag}${attrs}>${escapeHtml(this.format(value, attrs, ctx))}</${tag}>`;
+            }
+        );
+
+        html = html.replace(/<[^>]*\sdata-i18n-item-attr="([^"]+)"[^>]*>/g, (tag, pairs) => {
+            return parsePairs(pairs).reduce((result, [attr, field]) => {
+                const value = resolve(data, field);
+                if (value === undefined) {
+                    ctx.errors.push(`Missing field "${field}" in ${key}[${data.index}]`);
+                    return result;
+                }
+                return setAttr(result, attr, this.resolveUrl(attr, value, ctx));
+            }, tag);
+        });
+
+        return html;
+    },
+
+    /**
+     * Apply data-i18n-format; matches AMD.Formatter.date in assets/js/i18n.js
+     */
+    format(value, attrs, ctx) {
+        const format = getAttr(attrs, 'data-i18n-format');
+
+        if (format === 'date') {
+            return new Intl.DateTimeFormat(ctx.locale, {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                timeZone: 'UTC'
+            }).format(new Date(value));
+        }
+
+        return value;
+    },
+
+    /**
+     * Drop elements whose data-i18n-if value is missing, empty or an empty list
+     */
+    bindConditions(html, ctx) {
+        return html.replace(
+            /^([ \t]*)<(\w+)\b[^>]*\sdata-i18n-if="([^"]+)"[^>]*>[\s\S]*?<\/\2>[ \t]*\n?/gm,
+            (match, indent, tag, key) => {
+                const value = resolve(ctx.content, key);
+                const empty = value === undefined || value === null || value === '' ||
+                    (Array.isArray(value) && !value.length);
+                return empty ? '' : match;
+            }
+        );
+    },
+
+    bindText(html, ctx) {
+        return html.replace(
+            /<(\w+)(\b[^>]*\sdata-i18n="([^"]+)"[^>]*)>([\s\S]*?)<\/\1>/g,
+            (match, tag, attrs, key) => {
+                const value = this.lookup(ctx, key);
+                if (value === undefined) return match;
+
+                const content = /\sdata-i18n-html\b/.test(attrs) ? value : escapeHtml(this.format(value, attrs, ctx));
+                return `<${tag}${attrs}>${content}</${tag}>`;
+            }
+        );
+    },
+
+    bindAttributes(html, ctx) {
+        return html.replace(/<[^>]*\sdata-i18n-attr="([^"]+)"[^>]*>/g, (tag, pairs) => {
+            return parsePairs(pairs).reduce((result, [attr, key]) => {
+                const value = this.lookup(ctx, key);
+                return value === undefined ? result : setAttr(result, attr, this.resolveUrl(attr, value, ctx));
+            }, tag);
+        });
+    },
+
+    /**
+     * Flag the current page in the header and mobile navigation
+     */
+    markActive(html, page, root) {
+        const href = `${root}${page}.html`;
+        return html.replace(
+            new RegExp(`<a href="${href.replace(/\./g, '\\.')}" class="(header__nav-link|mobile-nav__link)"`, 'g'),
+            `<a href="${href}" class="$1 $1--active" aria-current="page"`
+        );
+    },
+
+    markLanguage(html, lang) {
+        return html.replace(
+            new RegExp(`<button class="lang-switch__btn" data-lang="${lang}"`, 'g'),
+            `<button class="lang-switch__btn lang-switch__btn--active" data-lang="${lang}" aria-current="true"`
+        );
+    },
+
+    render(template, page, language, content, target = { file: `${page.name}.html` }) {
+        // Relative prefixes to the language folder (root) and the site root (base)
+        const depth = target.file.split('/').length - 1;
+        const root = '../'.repeat(depth) || './';
+        const ctx = {
+            content,
+            locale: language.locale,
+            base: '../'.repeat(depth + (language.code === DEFAULT_LANG ? 0 : 1)) || './',
+            errors: []
+        };
+
+        if (page.collection && !target.item) {
+            return { html: '', errors: [`Missing ${page.collection} item "${target.id}"`] };
+        }
+
+        const tokens = {
+            base: ctx.base,
+            root,
+            lang: language.code,
+            dir: language.dir,
+            page: page.name,
+            key: target.key,
+            item: target.item,
+            title_key: target.key ? `${target.key}.seo.title` : `meta.${page.name}.title`,
+            description_key: target.key ? `${target.key}.seo.description` : `meta.${page.name}.description`,
+            fonts: language.fonts,
+            head_links: this.headLinks(page, target.file, language.code, content),
+            i18n_config: this.i18nConfig(),
+            lang_switch: this.languageSwitch(),
+            nav_links: this.navLinks('header__nav-link', root),
+            mobile_nav_links: this.navLinks('mobile-nav__link', root),
+            lang_stylesheets: language.stylesheets
+                .map(file => `<link rel="stylesheet" href="${ctx.base}assets/css/${file}">`)
+                .join('\n')
+        };
+
+        let html = this.includePartials(template);
+        html = this.replaceTokens(html, tokens, ctx.errors);
+        html = this.bindConditions(html, ctx);
+        html = this.renderLists(html, ctx);
+        html = this.bindText(html, ctx);
+        html = this.bindAttributes(html, ctx);
+        html = this.markActive(html, page.nav || page.name, root);
+        html = this.markLanguage(html, language.code);
+
+        return { html, errors: ctx.errors };
+    },
+
+    /**
+     * Inline registry for assets/js/i18n.js, so the client needs no extra request
+     */
+    i18nConfig() {
+        const config = {
+            rootLang: DEFAULT_LANG,
+            languages: LANGUAGES.map(({ code, locale, dir, name, label, content }) => ({
+                code, locale, dir, name, label, content
+            }))
+        };
+        const json = JSON.stringify(config).replace(/</g, '\\u003c');
+        return `<script>window.AMD_I18N_CONFIG = ${json};</script>`;
+    },
+
+    /**
+     * Links of the site navigation (markActive flags the current one)
+     */
+    navLinks(className, root) {
+        return NAV
+            .map(({ page, label }) => `<a href="${root}${page}.html" class="${className}" data-i18n="${label}"></a>`)
+            .join('\n');
+    },
+
+    /**
+     * One switcher button per registered language
+     */
+    languageSwitch() {
+        return LANGUAGES.map(lang => {
+            const attrs = `data-lang="${lang.code}" lang="${lang.code}" title="${escapeHtml(lang.name)}"`;
+            return `<button class="lang-switch__btn" ${attrs}>${escapeHtml(lang.label)}</button>`;
+        }).join('\n');
+    },
+
+    /**
+     * Canonical, hreflang alternate and (for news pages) feed links;
+     * pages left out of the sitemap are kept out of search results too
+     */
+    headLinks(page, file, lang, content) {
+        if (page.sitemap === false) return '<meta name="robots" content="noindex">';
+
+        const links = [`<link rel="canonical" href="${pageUrl(file, lang)}">`];
+        LANGUAGES.forEach(alt => {
+            links.push(`<link rel="alternate" hreflang="${alt.code}" href="${pageUrl(file, alt.code)}">`);
+        });
+        links.push(`<link rel="alternate" hreflang="x-default" href="${pageUrl(file, DEFAULT_LANG)}">`);
+
+        if (page.feed) {
+            const title = escapeHtml(resolve(content, 'meta.news.title') || '');
+            Object.values(FEEDS).forEach(feed => {
+                links.push(`<link rel="alternate" type="${feed.type}" title="${title}" href="${pageUrl(feed.file, lang)}">`);
+            });
+        }
+        return links.join('\n');
+    }
+};
+
+// ============================================
+// Sitemap
+// ============================================
+function buildSitemap(date, defaultContent) {
+    const urls = [];
+
+    LANGUAGES.forEach(lang => {
+        PAGES.filter(page => page.sitemap !== false).forEach(page => {
+            pageTargets(page, defaultContent, defaultContent).forEach(({ file }) => {
+                const alternates = LANGUAGES
+                    .map(alt => `    <xhtml:link rel="alternate" hreflang="${alt.code}" href="${pageUrl(file, alt.code)}"/>`)
+                    .concat(`    <xhtml:link rel="alternate" hreflang="x-default" href="${pageUrl(file, DEFAULT_LANG)}"/>`);
+
+                urls.push([
+                    '  <url>',
+                    `    <loc>${pageUrl(file, lang.code)}</loc>`,
+                    ...alternates,
+                    `    <lastmod>${date}</lastmod>`,
+                    `    <changefreq>${page.changefreq}</changefreq>`,
+                    `    <priority>${page.priority}</priority>`,
+                    '  </url>'
+                ].join('\n'));
+            });
+        });
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+        '        xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+        urls.join('\n\n'),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// ============================================
+// News Feeds
+// ============================================
+/**
+ * Articles newest first, with absolute URLs
+ */
+function feedEntries(content, lang) {
+    return (content.articles || [])
+        .slice()
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .map(article => ({ ...article, link: pageUrl(`news/${article.id}.html`, lang) }));
+}
+
+function buildRss(content, language) {
+    const entries = feedEntries(content, language.code);
+    const rfc822 = date => new Date(`${date}T00:00:00Z`).toUTCString();
+    const items = entries.map(entry => [
+        '    <item>',
+        `      <title>${escapeHtml(entry.title)}</title>`,
+        `      <link>${entry.link}</link>`,
+        `      <guid isPermaLink="true">${entry.link}</guid>`,
+        `      <pubDate>${rfc822(entry.date)}</pubDate>`,
+        `      <category>${escapeHtml(entry.category_label)}</category>`,
+        ...(entry.tags || []).map(tag => `      <category>${escapeHtml(tag.label)}</category>`),
+        `      <description>${escapeHtml(entry.excerpt)}</description>`,
+        '    </item>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeHtml(content.meta.news.title)}</title>`,
+        `    <link>${pageUrl('news.html', language.code)}</link>`,
+        `    <description>${escapeHtml(content.meta.news.description)}</description>`,
+        `    <language>${language.locale}</language>`,
+        ...(entries.length ? [`    <lastBuildDate>${rfc822(entries[0].date)}</lastBuildDate>`] : []),
+        `    <atom:link href="${pageUrl(FEEDS.rss.file, language.code)}" rel="self" type="${FEEDS.rss.type}"/>`,
+        items.join('\n'),
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+function buildAtom(content, language) {
+    const entries = feedEntries(content, language.code);
+    const iso = date => `${date}T00:00:00Z`;
+    const items = entries.map(entry => [
+        '  <entry>',
+        `    <title>${escapeHtml(entry.title)}</title>`,
+        `    <link href="${entry.link}"/>`,
+        `    <id>${entry.link}</id>`,
+        `    <published>${iso(entry.date)}</published>`,
+        `    <updated>${iso(entry.date)}</updated>`,
+        `    <author><name>${escapeHtml(entry.author || content.site.title)}</name></author>`,
+        `    <category term="${entry.category}" label="${escapeHtml(entry.category_label)}"/>`,
+        ...(entry.tags || []).map(tag => `    <category term="${tag.value}" label="${escapeHtml(tag.label)}"/>`),
+        `    <summary>${escapeHtml(entry.excerpt)}</summary>`,
+        `    <content type="html">${escapeHtml((entry.body || []).map(para => `<p>${escapeHtml(para)}</p>`).join(''))}</content>`,
+        '  </entry>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${language.code}">`,
+        `  <title>${escapeHtml(content.meta.news.title)}</title>`,
+        `  <subtitle>${escapeHtml(content.meta.news.description)}</subtitle>`,
+        `  <link href="${pageUrl('news.html', language.code)}"/>`,
+        `  <link rel="self" type="${FEEDS.atom.type}" href="${pageUrl(FEEDS.atom.file, language.code)}"/>`,
+        `  <id>${pageUrl('news.html', language.code)}</id>`,
+        ...(entries.length ? [`  <updated>${iso(entries[0].date)}</updated>`] : []),
+        `  <author><name>${escapeHtml(content.site.title)}</name></author>`,
+        items.join('\n'),
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// ============================================
+// Web App Manifest
+// ============================================
+/**
+ * One manifest per language, all sharing the site root as scope so an
+ * installed app can switch language
+ */
+function buildManifest(content, language) {
+    const base = langDir(language.code).replace(/[^/]+\//g, '../') || './';
+    const manifest = {
+        name: content.site.title,
+        short_name: content.site.shortName,
+        description: content.site.description,
+        lang: language.code,
+        dir: language.dir,
+        start_url: './',
+        scope: base,
+        display: 'standalone',
+        background_color: '#ffffff',
+        theme_color: '#ffffff',
+        icons: [
+            { src: `${base}assets/images/logo.png`, sizes: '500x500', type: 'image/png', purpose: 'any' }
+        ]
+    };
+
+    return JSON.stringify(manifest, null, 2) + '\n';
+}
+
+// ============================================
+// Service Worker
+// ============================================
+/**
+ * Render templates/sw.js. The version is a hash of everything precached, so
+ * any change to a shell or asset installs a new worker.
+ */
+function buildServiceWorker(outputs) {
+    const rendered = new Map(outputs.map(({ file, html }) => [path.relative(ROOT, file).split(path.sep).join('/'), html]));
+
+    const shells = [];
+    LANGUAGES.forEach(language => {
+        PAGES.filter(page => !page.collection && (page.sitemap !== false || page.precache)).forEach(page => {
+            shells.push(`${langDir(language.code)}${page.name}.html`);
+        });
+        shells.push(`${langDir(language.code)}${MANIFEST_FILE}`);
+    });
+
+    const assets = PRECACHE.dirs
+        .flatMap(dir => fs.readdirSync(path.join(ROOT, dir)).sort().map(file => `${dir}/${file}`))
+        .concat(PRECACHE.files);
+
+    const urls = [...shells, ...assets];
+    const hash = crypto.createHash('sha256');
+    urls.forEach(url => {
+        hash.update(url);
+        hash.update(rendered.has(url) ? rendered.get(url) : fs.readFileSync(path.join(ROOT, url)));
+    });
+
+    const template = fs.readFileSync(path.join(TEMPLATES_DIR, 'sw.js'), 'utf8');
+    const errors = [];
+    const js = Renderer.replaceTokens(template, {
+        version: hash.digest('hex').slice(0, 12),
+        lang_dirs: `[${LANGUAGES.filter(lang => lang.code !== DEFAULT_LANG).map(lang => `'${lang.code}'`).join(', ')}]`,
+        precache: urls.map(url => `'${url}'`).join(',\n')
+    }, errors);
+
+    if (errors.length) {
+        throw new Error(`sw.js: ${errors.join(', ')}`);
+    }
+    return js;
+}
+
+// ============================================
+// Main
+// ============================================
+function build(options = {}) {
+    const outputs = [];
+    const failures = [];
+    const defaultContent = loadContent(LANGUAGES.find(lang => lang.code === DEFAULT_LANG));
+
+    LANGUAGES.forEach(language => {
+        const content = loadContent(language);
+
+        PAGES.forEach(page => {
+            const template = fs.readFileSync(path.join(TEMPLATES_DIR, `${page.name}.html`), 'utf8');
+
+            pageTargets(page, content, defaultContent).forEach(target => {
+                const { html, errors } = Renderer.render(template, page, language, content, target);
+                const file = path.join(ROOT, langDir(language.code), target.file);
+
+                errors.forEach(error => failures.push(`${language.code}/${target.file}: ${error}`));
+                outputs.push({ file, html });
+            });
+        });
+
+        outputs.push(
+            { file: path.join(ROOT, langDir(language.code), FEEDS.rss.file), html: buildRss(content, language) },
+            { file: path.join(ROOT, langDir(language.code), FEEDS.atom.file), html: buildAtom(content, language) },
+            { file: path.join(ROOT, langDir(language.code), MANIFEST_FILE), html: buildManifest(content, language) }
+        );
+    });
+
+    if (failures.length) {
+        const unique = [...new Set(failures)];
+        throw new Error(`Build failed with ${unique.length} error(s):\n  ${unique.join('\n  ')}`);
+    }
+
+    outputs.push({ file: path.join(ROOT, 'sitemap.xml'), html: buildSitemap(options.date, defaultContent) });
+    outputs.push({ file: path.join(ROOT, 'sw.js'), html: buildServiceWorker(outputs) });
+
+    if (!options.check) {
+        outputs.forEach(({ file, html }) => {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, html);
+        });
+    }
+
+    return outputs;
+}
+
+/**
+ * Day of the last commit to the content or templates, so rebuilding unchanged
+ * sources leaves sitemap.xml alone
+ */
+function contentDate() {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cI', '--', 'content', 'templates'], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        if (date) return date.slice(0, 10);
+    } catch (error) {
+        // Not a git checkout
+    }
+
+    throw new Error('Could not read the content date from git; pass --date=YYYY-MM-DD');
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dateArg = args.find(arg => arg.startsWith('--date='));
+
+    try {
+        const options = {
+            check: args.includes('--check'),
+            date: dateArg ? dateArg.split('=')[1] : contentDate()
+        };
+        const outputs = build(options);
+        console.log(`${options.check ? 'Checked' : 'Built'} ${outputs.length} files`);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { build, Renderer, LANGUAGES, DEFAULT_LANG, PAGES };
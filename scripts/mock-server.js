@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+/**
+ * AMD Mock Server
+ * Serves the site and fakes the form endpoints for local testing.
+ *
+ * Usage:
+ *   node scripts/mock-server.js [port]
+ *
+ * Environment:
+ *   MOCK_FAILURES=N         answer the first N API requests with 503 (exercises retries)
+ *   MOCK_FAILURE_STATUS=N   status of those failures, e.g. 429 (default 503)
+ *   MOCK_DELAY=ms           delay every API response
+ *
+ * Newsletter confirmation and unsubscribe links are printed to the console
+ * instead of being emailed. Site-visit bookings are kept in memory and
+ * analytics events are logged.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.argv[2] || process.env.PORT, 10) || 8080;
+const DELAY = parseInt(process.env.MOCK_DELAY, 10) || 0;
+const FAILURE_STATUS = parseInt(process.env.MOCK_FAILURE_STATUS, 10) || 503;
+let failuresLeft = parseInt(process.env.MOCK_FAILURES, 10) || 0;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf'
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// The client normalizes tel fields to E.164 before sending
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+const CONFIRM_TTL = 48 * 60 * 60 * 1000;
+
+// Newsletter subscribers by email: { token, lang, confirmed, createdAt }
+const subscribers = new Map();
+
+// Site visits: weekdays outside Fri/Sat and holidays, hourly from 10:00
+const VISIT_TIMES = ['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00'];
+const VISIT_WEEKEND = [5, 6];
+const VISIT_DURATION = 60;
+const VISIT_MAX_DAYS = 120;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Booked slots: "project|date|time" → booking id
+const bookings = new Map();
+
+const { rootLang, languages } = JSON.parse(fs.readFileSync(path.join(ROOT, 'content/languages.json'), 'utf8'));
+const holidays = JSON.parse(fs.readFileSync(path.join(ROOT, `content/${rootLang}.json`), 'utf8')).booking.holidays
+    .map(holiday => holiday.date);
+
+// ============================================
+// Helpers
+// ============================================
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a JSON request body; multipart bodies are acknowledged but not parsed
+ */
+async function readPayload(req) {
+    const raw = await readBody(req);
+    const type = req.headers['content-type'] || '';
+
+    if (type.includes('application/json')) {
+        return JSON.parse(raw.toString('utf8') || '{}');
+    }
+
+    return { _multipart: true, _bytes: raw.length };
+}
+
+function findSubscriber(token) {
+    return [...subscribers.entries()].find(([, subscriber]) => subscriber.token === token);
+}
+
+function newsletterLink(page, subscriber) {
+    const dir = subscriber.lang && subscriber.lang !== rootLang ? `${subscriber.lang}/` : '';
+    return `http://localhost:${PORT}/${dir}${page}.html?token=${subscriber.token}`;
+}
+
+/**
+ * Open times for a project on a date (YYYY-MM-DD)
+ */
+function openTimes(project, date) {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+    if (VISIT_WEEKEND.includes(day) || holidays.includes(date)) return [];
+
+    return VISIT_TIMES.filter(time => !bookings.has(`${project}|${date}|${time}`));
+}
+
+function requireFields(payload, fields) {
+    const errors = {};
+
+    if (payload._multipart) return errors;
+
+    fields.forEach(name => {
+        if (!String(payload[name] || '').trim()) {
+            errors[name] = 'This field is required';
+        }
+    });
+
+    if (payload.email && !EMAIL_REGEX.test(payload.email)) {
+        errors.email = 'Please enter a valid email';
+    }
+
+    if (payload.phone && !E164_REGEX.test(payload.phone)) {
+        errors.phone = 'Please enter a valid phone number';
+    }
+
+    return errors;
+}
+
+// ============================================
+// API Routes
+// ============================================
+const routes = {
+    'POST /api/contact': async (req, res) => {
+        const payload = await readPayload(req);
+        const errors = requireFields(payload, ['name', 'email', 'message']);
+
+        if (Object.keys(errors).length) {
+            sendJson(res, 422, { message: 'Validation failed', errors });
+            return;
+        }
+
+        console.log('[contact]', payload);
+        sendJson(res, 200, { message: 'Received' });
+    },
+
+    'POST /api/careers': async (req, res) => {
+        const payload = await readPayload(req);
+        const errors = requireFields(payload, ['position', 'name', 'email', 'phone']);
+
+        if (Object.keys(errors).length) {
+            sendJson(res, 422, { message: 'Validation failed', errors });
+            return;
+        }
+
+        console.log('[careers]', payload);
+        sendJson(res, 200, { message: 'Application received' });
+    },
+
+    'GET /api/availability': async (req, res) => {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const project = params.get('project') || 'sales-center';
+        const from = params.get('from');
+        const to = params.get('to');
+
+        if (!DATE_REGEX.test(from || '') || !DATE_REGEX.test(to || '')) {
+            sendJson(res, 400, { message: 'from and to must be YYYY-MM-DD' });
+            return;
+        }
+
+        const days = {};
+        const cursor = new Date(`${from}T00:00:00Z`);
+        const end = new Date(`${to}T00:00:00Z`);
+
+        for (let i = 0; cursor <= end && i < VISIT_MAX_DAYS; i++) {
+            const date = cursor.toISOString().slice(0, 10);
+            const times = openTimes(project, date);
+            if (times.length) days[date] = times;
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+
+        sendJson(res, 200, { timezone: 'Africa/Cairo', duration: VISIT_DURATION, days });
+    },
+
+    'POST /api/bookings': async (req, res) => {
+        const payload = await readPayload(req);
+        const errors = requireFields(payload, ['project', 'date', 'time', 'name', 'email', 'phone']);
+
+        if (Object.keys(errors).length) {
+            sendJson(res, 422, { message: 'Validation failed', errors });
+            return;
+        }
+
+        const key = `${payload.project}|${payload.date}|${payload.time}`;
+
+        if (bookings.has(key)) {
+            sendJson(res, 409, { message: 'Slot already booked' });
+            return;
+        }
+
+        if (!DATE_REGEX.test(payload.date) || !openTimes(payload.project, payload.date).includes(payload.time)) {
+            sendJson(res, 422, { message: 'Validation failed', errors: { time: 'This time is not available' } });
+            return;
+        }
+
+        const id = `AMD-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+        bookings.set(key, id);
+
+        console.log('[booking]', id, payload);
+        sendJson(res, 200, { message: 'Visit booked', id, duration: VISIT_DURATION });
+    },
+
+    // Consented analytics events from the beacon sink
+    'POST /api/analytics': async (req, res) => {
+        const event = await readPayload(req);
+
+        console.log('[analytics]', event.name, event.page, JSON.stringify(event.params || {}));
+        res.writeHead(204);
+        res.end();
+    },
+
+    'POST /api/newsletter/subscribe': async (req, res) => {
+        const payload = await readPayload(req);
+        const errors = requireFields(payload, ['email']);
+
+        if (Object.keys(errors).length) {
+            sendJson(res, 422, { message: 'Validation failed', errors });
+            return;
+        }
+
+        const email = payload.email.trim().toLowerCase();
+        const existing = subscribers.get(email);
+
+        if (existing && existing.confirmed) {
+            sendJson(res, 409, { message: 'Already subscribed' });
+            return;
+        }
+
+        // Subscribing again before confirming re-sends a fresh link
+        const subscriber = {
+            token: crypto.randomBytes(16).toString('hex'),
+            lang: payload.lang || rootLang,
+            confirmed: false,
+            createdAt: Date.now()
+        };
+        subscribers.set(email, subscriber);
+
+        console.log('[newsletter] confirm', email, newsletterLink('newsletter-confirm', subscriber));
+        sendJson(res, 200, { message: 'Confirmation email sent' });
+    },
+
+    'POST /api/newsletter/confirm': async (req, res) => {
+        const payload = await readPayload(req);
+        const match = findSubscriber(payload.token);
+
+        if (!match) {
+            sendJson(res, 404, { message: 'Unknown token' });
+            return;
+        }
+
+        const [email, subscriber] = match;
+
+        if (!subscriber.confirmed && Date.now() - subscriber.createdAt > CONFIRM_TTL) {
+            subscribers.delete(email);
+            sendJson(res, 410, { message: 'Token expired' });
+            return;
+        }
+
+        subscriber.confirmed = true;
+        console.log('[newsletter] confirmed', email, 'unsubscribe:', newsletterLink('newsletter-unsubscribe', subscriber));
+        sendJson(res, 200, { message: 'Subscription confirmed' });
+    },
+
+    'POST /api/newsletter/unsubscribe': async (req, res) => {
+        const payload = await readPayload(req);
+        const match = findSubscriber(payload.token);
+
+        if (!match) {
+            sendJson(res, 404, { message: 'Unknown token' });
+            return;
+        }
+
+        subscribers.delete(match[0]);
+        console.log('[newsletter] unsubscribed', match[0]);
+        sendJson(res, 200, { message: 'Unsubscribed' });
+    }
+};
+
+// ============================================
+// Static Files
+// ============================================
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Malformed percent-encoding (URIError)
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    let filePath = path.normalize(path.join(ROOT, urlPath));
+
+    // ROOT + separator, so sibling folders like /root/tree-other stay out
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            const segment = urlPath.split('/')[1];
+            const lang = languages.find(entry => entry.code === segment && entry.code !== rootLang);
+            const notFound = path.join(ROOT, lang ? `${lang.code}/404.html` : '404.html');
+            res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+            fs.createReadStream(notFound).pipe(res);
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(content);
+    });
+}
+
+// ============================================
+// Server
+// ============================================
+async function handle(req, res) {
+    let pathname;
+    try {
+        pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch (error) {
+        // e.g. "//": a protocol-relative URL without a host
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    const handler = routes[`${req.method} ${pathname}`];
+
+    if (!handler) {
+        serveStatic(req, res);
+        return;
+    }
+
+    if (DELAY) {
+        await new Promise(resolve => setTimeout(resolve, DELAY));
+    }
+
+    if (failuresLeft > 0) {
+        failuresLeft--;
+        sendJson(res, FAILURE_STATUS, { message: `Simulated failure (${FAILURE_STATUS})` });
+        return;
+    }
+
+    try {
+        await handler(req, res);
+    } catch (error) {
+        console.error(error);
+        sendJson(res, 400, { message: 'Malformed request' });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    // One bad request must never take the server down
+    handle(req, res).catch(error => {
+        console.error(error);
+        if (res.headersSent) {
+            res.end();
+        } else {
+            sendJson(res, 500, { message: 'Internal error' });
+        }
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`AMD mock server running at http://localhost:${PORT}/`);
+    });
+}
+
+module.exports = { server, routes };
@@ -0,0 +1,256 @@
+/**
+ * AMD Service Worker
+ * Written to /sw.js by scripts/build.js; edit templates/sw.js instead.
+ *
+ * - Precaches the page shells of every language, styles, scripts, content
+ *   dictionaries and key images. Every build changes VERSION, and open pages
+ *   offer to reload once the new worker has installed.
+ * - Pages: network first, then the cache, then the offline page of the
+ *   requested page's language
+ * - Project images: stale-while-revalidate
+ * - Other same-origin files: cache first
+ * - Background Sync: replays the form outbox that assets/js/form-submit.js
+ *   keeps in IndexedDB
+ */
+
+'use strict';
+
+const VERSION = '{{version}}';
+const PRECACHE = `amd-precache-${VERSION}`;
+const PAGES = 'amd-pages';
+const IMAGES = 'amd-images';
+const IMAGE_LIMIT = 60;
+
+// Languages served from /<code>/ rather than the site root
+const LANG_DIRS = {{lang_dirs}};
+
+// Relative to this file, i.e. the site root
+const PRECACHE_URLS = [
+    {{precache}}
+];
+
+// Shared with the Outbox in assets/js/form-submit.js
+const OUTBOX = { db: 'amd-outbox', store: 'submissions', tag: 'amd-outbox' };
+
+const SCOPE = new URL(self.registration.scope);
+
+// Form and analytics endpoints live in api/ under the site root, which is
+// this worker's scope wherever the site is deployed
+const API_PATH = new URL('api/', SCOPE).pathname;
+
+// ============================================
+// Lifecycle
+// ============================================
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+// Updates wait until the page's update prompt asks to take over
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('amd-precache-') && key !== PRECACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================
+// Requests
+// ============================================
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== SCOPE.origin) return;
+    if (url.pathname.startsWith(API_PATH)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.startsWith(`${SCOPE.pathname}assets/images/projects/`)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(PAGES);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const url = new URL(request.url);
+        url.search = '';
+        url.hash = '';
+
+        // Directory URLs are precached as their index page
+        if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+
+        return (await caches.match(request, { ignoreSearch: true })) ||
+            (await caches.match(url.href)) ||
+            offlinePage(url);
+    }
+}
+
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(IMAGES);
+    const cached = await cache.match(request);
+
+    const network = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimCache(cache, IMAGE_LIMIT);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+async function cacheFirst(request) {
+    return (await caches.match(request)) || fetch(request);
+}
+
+/**
+ * Drop the oldest entries beyond the limit
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - limit, 0)).map(key => cache.delete(key)));
+}
+
+/**
+ * Offline page of the language the failed URL belongs to. A <base> keeps its
+ * relative links (styles, home page) pointing where they would from the
+ * offline page itself.
+ */
+async function offlinePage(url) {
+    const path = url.pathname.slice(SCOPE.pathname.length);
+    const lang = LANG_DIRS.find(code => path === code || path.startsWith(`${code}/`));
+    const page = new URL(`${lang ? `${lang}/` : ''}offline.html`, SCOPE);
+    const cached = await caches.match(page.href);
+
+    if (!cached) return Response.error();
+
+    const html = (await cached.text()).replace('<head>', `<head>\n  <base href="${page.href}">`);
+    return new Response(html, {
+        status: 503,
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}
+
+// ============================================
+// Background Sync
+// ============================================
+/**
+ * Mirrors the built-in transports of assets/js/form-submit.js; entries sent
+ * with a custom transport are left for the page to replay
+ */
+const Transports = {
+    // Files cannot be JSON-encoded; send those payloads as multipart
+    json(endpoint, data) {
+        const hasFiles = Object.keys(data).some(key => [].concat(data[key]).some(value => value instanceof Blob));
+        if (hasFiles) return Transports.multipart(endpoint, data);
+
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+    },
+
+    multipart(endpoint, data) {
+        const body = new FormData();
+        Object.keys(data).forEach(key => {
+            [].concat(data[key]).forEach(value => body.append(key, value));
+        });
+
+        return fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            body
+        });
+    }
+};
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX.tag) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+/**
+ * Send queued submissions in order. Rejecting (network down, 5xx, 429)
+ * makes the browser retry the sync later.
+ */
+async function replayOutbox() {
+    const db = await openOutbox();
+    const entries = await outboxRequest(db, 'readonly', store => store.getAll());
+
+    for (const entry of entries) {
+        const transport = Transports[entry.transport];
+        if (!transport) continue;
+
+        const response = await transport(new URL(entry.endpoint, SCOPE).href, entry.data);
+
+        if (!response.ok && (response.status >= 500 || response.status === 429)) {
+            throw new Error(`Server error ${response.status}`);
+        }
+
+        // Sent, or refused by the server: retrying will never succeed
+        await outboxRequest(db, 'readwrite', store => store.delete(entry.id));
+
+        if (response.ok) {
+            await notify({ type: 'amd:outbox-sent', entry });
+        } else {
+            console.warn('Dropped queued submission:', response.status);
+        }
+    }
+}
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX.db, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(OUTBOX.store, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function outboxRequest(db, mode, callback) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX.store, mode);
+        const request = callback(tx.objectStore(OUTBOX.store));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+async function notify(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
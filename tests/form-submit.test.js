@@ -0,0 +1,239 @@
+/**
+ * FormSubmitter (assets/js/form-submit.js) against scripts/mock-server.js
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * form-submit.js runs in a vm sandbox with Node's fetch/FormData/Blob and no
+ * IndexedDB or service worker, so the outbox uses its localStorage fallback.
+ * Every test starts its own mock server on a free port; MOCK_* variables are
+ * read when the server module loads.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'assets/js/form-submit.js'), 'utf8');
+const SERVER = require.resolve('../scripts/mock-server.js');
+
+/**
+ * Start a fresh mock server. Requests to the API routes are recorded.
+ */
+async function start(t, env = {}) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    delete require.cache[SERVER];
+
+    const { server, routes } = require(SERVER);
+    Object.assign(process.env, saved);
+    Object.keys(env).filter(key => !(key in saved)).forEach(key => delete process.env[key]);
+
+    const requests = [];
+    Object.keys(routes).forEach(key => {
+        const route = routes[key];
+        routes[key] = (req, res) => {
+            requests.push({ route: key, type: req.headers['content-type'] || '' });
+            return route(req, res);
+        };
+    });
+
+    // The routes log what they receive
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return { base: `http://127.0.0.1:${server.address().port}/`, requests };
+}
+
+/**
+ * Load form-submit.js for a page on the mock server
+ */
+function load(base, { online = true } = {}) {
+    const storage = {};
+    const events = [];
+
+    const window = {
+        navigator: { onLine: online },
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); }
+        },
+        document: {
+            readyState: 'complete',
+            baseURI: `${base}contact.html`,
+            dispatchEvent: event => events.push(event)
+        },
+        addEventListener() {},
+        fetch,
+        FormData,
+        Blob,
+        File,
+        URL,
+        CustomEvent,
+        setTimeout,
+        console
+    };
+    window.window = window;
+
+    vm.runInNewContext(SOURCE, window);
+
+    const { FormSubmitter } = window.AMD;
+    const delays = [];
+
+    // Keep the backoff schedule but not the waiting
+    FormSubmitter.wait = ms => {
+        delays.push(ms);
+        return Promise.resolve();
+    };
+
+    return { FormSubmitter, window, storage, events, delays };
+}
+
+function form(endpoint) {
+    return {
+        dataset: {},
+        enctype: 'application/x-www-form-urlencoded',
+        getAttribute: name => (name === 'action' ? endpoint : null),
+        querySelector: () => null
+    };
+}
+
+const CONTACT = { name: 'Mona', email: 'mona@example.com', message: 'Hello' };
+
+/**
+ * Raw request, for bodies and URLs a browser would not send
+ */
+function request(base, method, urlPath, body, headers = {}) {
+    const { hostname, port } = new URL(base);
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({ hostname, port, method, path: urlPath, headers }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('5xx responses are retried with backoff', async t => {
+    const { base, requests } = await start(t, { MOCK_FAILURES: '2' });
+    const { FormSubmitter, delays } = load(base);
+
+    const result = await FormSubmitter.submit(form('api/contact'), CONTACT);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(result.result.message, 'Received');
+    assert.equal(requests.length, 1, 'the two failures never reach the route');
+    assert.equal(delays.length, 2);
+    // Jittered between half and all of BACKOFF_BASE * 2^attempt
+    assert.ok(delays[0] >= 250 && delays[0] <= 500, `first delay ${delays[0]}`);
+    assert.ok(delays[1] >= 500 && delays[1] <= 1000, `second delay ${delays[1]}`);
+});
+
+test('429 responses are retried', async t => {
+    const { base } = await start(t, { MOCK_FAILURES: '1', MOCK_FAILURE_STATUS: '429' });
+    const { FormSubmitter, delays } = load(base);
+
+    const result = await FormSubmitter.submit(form('api/contact'), CONTACT);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(delays.length, 1);
+});
+
+test('a server still failing after the retries queues the submission', async t => {
+    const { base } = await start(t, { MOCK_FAILURES: '10' });
+    const { FormSubmitter, storage, delays } = load(base);
+
+    const result = await FormSubmitter.submit(form('api/contact'), CONTACT);
+
+    assert.equal(result.status, 'queued');
+    assert.equal(delays.length, FormSubmitter.DEFAULT_RETRIES);
+    assert.equal(JSON.parse(storage['amd-outbox']).length, 1);
+});
+
+test('422 errors become field errors', async t => {
+    const { base } = await start(t);
+    const { FormSubmitter, storage, delays } = load(base);
+
+    await assert.rejects(
+        FormSubmitter.submit(form('api/contact'), { name: '', email: 'not-an-email', message: 'Hi' }),
+        error => {
+            assert.equal(error.name, 'SubmitError');
+            assert.equal(error.status, 422);
+            assert.deepEqual({ ...error.fieldErrors }, {
+                name: 'This field is required',
+                email: 'Please enter a valid email'
+            });
+            return true;
+        }
+    );
+    assert.equal(delays.length, 0, 'refusals are not retried');
+    assert.equal(storage['amd-outbox'], undefined, 'refusals are not queued');
+});
+
+test('submissions made offline are queued and replayed', async t => {
+    const { base, requests } = await start(t);
+    const { FormSubmitter, window, storage, events } = load(base, { online: false });
+
+    const result = await FormSubmitter.submit(form('api/contact'), CONTACT);
+
+    assert.equal(result.status, 'queued');
+    assert.equal(requests.length, 0);
+
+    const [entry] = JSON.parse(storage['amd-outbox']);
+    assert.equal(entry.endpoint, `${base}api/contact`, 'queued with an absolute endpoint');
+
+    window.navigator.onLine = true;
+    await FormSubmitter.flush();
+
+    assert.deepEqual(requests.map(req => req.route), ['POST /api/contact']);
+    assert.deepEqual(JSON.parse(storage['amd-outbox']), []);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'amd:outbox-sent');
+    assert.equal(events[0].detail.id, entry.id);
+});
+
+test('the json transport sends files as multipart', async t => {
+    const { base, requests } = await start(t);
+    const { FormSubmitter, window } = load(base);
+    const cv = new window.File(['%PDF-1.4'], 'cv.pdf', { type: 'application/pdf' });
+
+    const result = await FormSubmitter.submit(form('api/contact'), { ...CONTACT, cv });
+
+    assert.equal(result.status, 'sent');
+    assert.match(requests[0].type, /^multipart\/form-data/);
+});
+
+test('files are not queued without IndexedDB', async t => {
+    const { base } = await start(t);
+    const { FormSubmitter, window, storage } = load(base, { online: false });
+    const cv = new window.Blob(['%PDF-1.4'], { type: 'application/pdf' });
+
+    await assert.rejects(FormSubmitter.submit(form('api/contact'), { ...CONTACT, cv }), { name: 'SubmitError' });
+    assert.equal(storage['amd-outbox'], undefined);
+});
+
+test('malformed JSON is answered with 400', async t => {
+    const { base } = await start(t);
+
+    assert.equal(await request(base, 'POST', '/api/contact', '{"name":', { 'Content-Type': 'application/json' }), 400);
+    // The server is still up
+    assert.equal(await request(base, 'GET', '/'), 200);
+});
+
+test('malformed URLs are answered with 400', async t => {
+    const { base } = await start(t);
+
+    assert.equal(await request(base, 'GET', '//'), 400);
+    assert.equal(await request(base, 'GET', '/%E0%A4%A'), 400);
+    assert.equal(await request(base, 'GET', '/'), 200);
+});
@@ -0,0 +1,163 @@
+/**
+ * LangUrl: URL <-> { lang, page } mapping of assets/js/i18n.js
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * i18n.js runs in a vm sandbox with just enough of window/document for it to
+ * load; location.href and location.replace() record where it navigates.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'assets/js/i18n.js'), 'utf8');
+
+/**
+ * Load i18n.js for a page URL. The script sits at <site>/assets/js/i18n.js,
+ * which is where LangUrl takes its default basePath from.
+ */
+function load(href, { site = new URL('/', href).href, config, lang = 'en-US', stored = {}, noindex = false } = {}) {
+    const url = new URL(href);
+    const storage = { ...stored };
+
+    const location = {
+        href: url.href,
+        protocol: url.protocol,
+        pathname: url.pathname,
+        search: url.search,
+        hash: url.hash,
+        replace(target) {
+            this.replaced = target;
+        }
+    };
+
+    const element = { setAttribute() {} };
+    const window = {
+        location,
+        navigator: { language: lang },
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); }
+        },
+        document: {
+            readyState: 'complete',
+            currentScript: { src: new URL('assets/js/i18n.js', site).href },
+            documentElement: element,
+            // Only the robots meta of error and offline pages is looked up
+            querySelector: selector => (noindex && selector.includes('noindex') ? {} : null),
+            querySelectorAll: () => [],
+            addEventListener() {}
+        },
+        AMD_I18N_CONFIG: config,
+        URL,
+        Intl
+    };
+    window.window = window;
+
+    vm.runInNewContext(SOURCE, window);
+
+    return { AMD: window.AMD, location, storage };
+}
+
+// [page URL, load options, expected parse, alternate in ar, alternate in en]
+const MATRIX = [
+    // Server, site at the domain root
+    ['http://example.com/', {}, { lang: 'en', page: '' }, '/ar/', '/'],
+    ['http://example.com/index.html', {}, { lang: 'en', page: 'index.html' }, '/ar/index.html', '/index.html'],
+    ['http://example.com/ar', {}, { lang: 'ar', page: '' }, '/ar/', '/'],
+    ['http://example.com/ar/', {}, { lang: 'ar', page: '' }, '/ar/', '/'],
+    ['http://example.com/ar/about.html', {}, { lang: 'ar', page: 'about.html' }, '/ar/about.html', '/about.html'],
+    ['http://example.com/careers/', {}, { lang: 'en', page: 'careers/' }, '/ar/careers/', '/careers/'],
+    ['http://example.com/ar/careers/project-engineer.html', {},
+        { lang: 'ar', page: 'careers/project-engineer.html' },
+        '/ar/careers/project-engineer.html', '/careers/project-engineer.html'],
+    // A folder that merely starts with a language code
+    ['http://example.com/solar/', {}, { lang: 'en', page: 'solar/' }, '/ar/solar/', '/solar/'],
+    ['http://example.com/arabic.html', {}, { lang: 'en', page: 'arabic.html' }, '/ar/arabic.html', '/arabic.html'],
+
+    // Server, site under /amd-website/ (from the script location, or configured
+    // with and without the trailing slash)
+    ['http://example.com/amd-website/', { site: 'http://example.com/amd-website/' },
+        { lang: 'en', page: '' }, '/amd-website/ar/', '/amd-website/'],
+    ['http://example.com/amd-website', { config: { basePath: '/amd-website/' } },
+        { lang: 'en', page: '' }, '/amd-website/ar/', '/amd-website/'],
+    ['http://example.com/amd-website/ar', { config: { basePath: '/amd-website' } },
+        { lang: 'ar', page: '' }, '/amd-website/ar/', '/amd-website/'],
+    ['http://example.com/amd-website/ar/about.html', { config: { basePath: 'amd-website' } },
+        { lang: 'ar', page: 'about.html' }, '/amd-website/ar/about.html', '/amd-website/about.html'],
+    ['http://example.com/amd-website/solar/', { config: { basePath: '/amd-website/' } },
+        { lang: 'en', page: 'solar/' }, '/amd-website/ar/solar/', '/amd-website/solar/'],
+
+    // file:// — directory URLs need their index file
+    ['file:///home/user/site/index.html', { site: 'file:///home/user/site/' },
+        { lang: 'en', page: 'index.html' }, '/home/user/site/ar/index.html', '/home/user/site/index.html'],
+    ['file:///home/user/site/ar/', { site: 'file:///home/user/site/' },
+        { lang: 'ar', page: '' }, '/home/user/site/ar/index.html', '/home/user/site/index.html'],
+    ['file:///home/user/site/ar/about.html', { site: 'file:///home/user/site/' },
+        { lang: 'ar', page: 'about.html' }, '/home/user/site/ar/about.html', '/home/user/site/about.html'],
+    ['file:///home/user/site/careers/', { site: 'file:///home/user/site/' },
+        { lang: 'en', page: 'careers/' }, '/home/user/site/ar/careers/index.html', '/home/user/site/careers/index.html']
+];
+
+MATRIX.forEach(([href, options, parsed, ar, en]) => {
+    test(`LangUrl ${href}${options.config ? ` (basePath ${options.config.basePath})` : ''}`, () => {
+        const { AMD } = load(href, options);
+
+        assert.deepEqual({ ...AMD.LangUrl.parse() }, parsed);
+        assert.equal(AMD.LangUrl.alternate('ar'), ar);
+        assert.equal(AMD.LangUrl.alternate('en'), en);
+    });
+});
+
+test('alternate keeps the query string and hash', () => {
+    const { AMD } = load('http://example.com/projects.html?type=residential#list');
+
+    assert.equal(AMD.LangUrl.alternate('ar'), '/ar/projects.html?type=residential#list');
+});
+
+test('switchTo navigates to getAlternateUrl', () => {
+    MATRIX.forEach(([href, options]) => {
+        ['ar', 'en'].forEach(target => {
+            const { AMD, location } = load(href, options);
+            const expected = AMD.I18n.getAlternateUrl(target);
+
+            AMD.I18n.switchTo(target);
+
+            if (AMD.I18n.getCurrentLang() === target) {
+                assert.equal(location.href, new URL(href).href, `${href} -> ${target} stays`);
+            } else {
+                assert.equal(location.href, expected, `${href} -> ${target}`);
+            }
+        });
+    });
+});
+
+test('the root home page redirects to the preferred language', () => {
+    const { location, storage } = load('http://example.com/', { lang: 'ar-EG' });
+
+    assert.equal(location.replaced, '/ar/');
+    // The redirect itself is not a choice
+    assert.equal(storage['amd-lang'], undefined);
+});
+
+test('staying on root-language pages keeps the root home page', () => {
+    const { storage } = load('http://example.com/about.html', { lang: 'ar-EG' });
+    assert.equal(storage['amd-lang'], 'en');
+
+    const { location } = load('http://example.com/', { lang: 'ar-EG', stored: storage });
+    assert.equal(location.replaced, undefined);
+});
+
+test('error and offline pages do not change the preference', () => {
+    const { storage } = load('http://example.com/404.html', { lang: 'ar-EG', noindex: true });
+    assert.equal(storage['amd-lang'], undefined);
+
+    const { location } = load('http://example.com/', { lang: 'ar-EG', stored: storage });
+    assert.equal(location.replaced, '/ar/');
+});